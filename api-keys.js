@@ -0,0 +1,235 @@
+import crypto from 'crypto';
+import NodeCache from 'node-cache';
+
+// Secret API keys let a website's own servers send events. Only a SHA-256
+// hash of each key is stored; the key itself is shown once, when it is
+// created or rotated.
+
+const KEY_PREFIX = 'ia_sk_';
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 6;
+
+// Authenticated keys are cached briefly, so revoking a key takes effect on
+// other server instances within a minute
+const KEY_CACHE_TTL = 60;
+const KEY_CACHE_MAX_KEYS = 10000;
+const LAST_USED_INTERVAL = 5 * 60 * 1000;
+
+export const MAX_KEYS_PER_WEBSITE = 10;
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateApiKey() {
+  return `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Fields safe to return to the site owner
+function describeKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+    active: isActive(row)
+  };
+}
+
+function isActive(row) {
+  return !row.revoked_at && (!row.expires_at || new Date(row.expires_at) > new Date());
+}
+
+class ApiKeyStore {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.cache = new NodeCache({ stdTTL: KEY_CACHE_TTL, checkperiod: 120, maxKeys: KEY_CACHE_MAX_KEYS });
+    this.lastUsedWrites = new Map();
+  }
+
+  // Returns { key } on success or { error } with a message for the caller
+  async authenticate(key) {
+    if (!this.supabase) return { error: 'Database not configured', status: 503 };
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+      return { error: 'Invalid API key' };
+    }
+
+    const keyHash = hashApiKey(key);
+    let row = this.cache.get(keyHash);
+
+    if (row === undefined) {
+      const { data, error } = await this.supabase
+        .from('api_keys')
+        .select('id, website_id, site_id, user_id, name, key_prefix, expires_at, revoked_at')
+        .eq('key_hash', keyHash)
+        .limit(1);
+
+      if (error) {
+        console.error('API key lookup error:', error.message);
+        return { error: 'Could not verify API key', status: 503 };
+      }
+
+      // Only keys that exist are cached, so made-up keys can't fill the cache
+      row = data && data.length > 0 ? data[0] : null;
+      if (row) {
+        try {
+          this.cache.set(keyHash, row);
+        } catch (cacheError) {
+          // Cache full; the next request looks the key up again
+        }
+      }
+    }
+
+    if (!row) return { error: 'Invalid API key' };
+    if (row.revoked_at) return { error: 'API key has been revoked' };
+    if (row.expires_at && new Date(row.expires_at) <= new Date()) {
+      return { error: 'API key has expired' };
+    }
+
+    this.touch(row.id);
+    return { key: row };
+  }
+
+  // last_used_at is informational, so it is written at most every few minutes
+  touch(keyId) {
+    const now = Date.now();
+    if (now - (this.lastUsedWrites.get(keyId) || 0) < LAST_USED_INTERVAL) return;
+    this.lastUsedWrites.set(keyId, now);
+
+    this.supabase
+      .from('api_keys')
+      .update({ last_used_at: new Date(now).toISOString() })
+      .eq('id', keyId)
+      .then(({ error }) => {
+        if (error) console.error('API key usage update error:', error.message);
+      });
+  }
+
+  async list(websiteId) {
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .select('*')
+      .eq('website_id', websiteId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw new Error(error.message);
+    return (data || []).map(describeKey);
+  }
+
+  async countActive(websiteId) {
+    const { count, error } = await this.supabase
+      .from('api_keys')
+      .select('id', { count: 'exact', head: true })
+      .eq('website_id', websiteId)
+      .is('revoked_at', null)
+      .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+
+    if (error) throw new Error(error.message);
+    return count;
+  }
+
+  // Returns the new key in plain text alongside its description
+  async create(website, name) {
+    if (await this.countActive(website.id) >= MAX_KEYS_PER_WEBSITE) {
+      return { error: `A website can have at most ${MAX_KEYS_PER_WEBSITE} active API keys` };
+    }
+
+    const key = generateApiKey();
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .insert([{
+        website_id: website.id,
+        site_id: website.domain,
+        user_id: website.userId,
+        name,
+        key_prefix: key.substring(0, DISPLAY_PREFIX_LENGTH),
+        key_hash: hashApiKey(key)
+      }])
+      .select();
+
+    if (error) throw new Error(error.message);
+    return { key, apiKey: describeKey(data[0]) };
+  }
+
+  // Issues a replacement key; the old one stops working after the grace
+  // period, or straight away without one. Only active keys can be rotated,
+  // and rotating never extends when the old key stops working.
+  async rotate(website, keyId, graceSeconds = 0) {
+    const existing = await this.find(website.id, keyId);
+    if (!existing) return { error: 'API key not found', status: 404 };
+    if (!isActive(existing)) return { error: 'API key is no longer active', status: 409 };
+
+    // During the grace period both keys count towards the limit
+    if (graceSeconds > 0 && await this.countActive(website.id) >= MAX_KEYS_PER_WEBSITE) {
+      return {
+        error: `A website can have at most ${MAX_KEYS_PER_WEBSITE} active API keys; rotate without a grace period or revoke a key first`,
+        status: 409
+      };
+    }
+
+    const key = generateApiKey();
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .insert([{
+        website_id: website.id,
+        site_id: website.domain,
+        user_id: website.userId,
+        name: existing.name,
+        key_prefix: key.substring(0, DISPLAY_PREFIX_LENGTH),
+        key_hash: hashApiKey(key)
+      }])
+      .select();
+
+    if (error) throw new Error(error.message);
+
+    const now = Date.now();
+    const retiredAt = existing.expires_at
+      ? Math.min(now + graceSeconds * 1000, new Date(existing.expires_at).getTime())
+      : now + graceSeconds * 1000;
+    const retirement = graceSeconds > 0
+      ? { expires_at: new Date(retiredAt).toISOString() }
+      : { revoked_at: new Date(now).toISOString() };
+    const { error: retireError } = await this.supabase
+      .from('api_keys')
+      .update(retirement)
+      .eq('id', existing.id);
+
+    if (retireError) throw new Error(retireError.message);
+
+    this.cache.del(existing.key_hash);
+    return { key, apiKey: describeKey(data[0]), previous: describeKey({ ...existing, ...retirement }) };
+  }
+
+  async revoke(website, keyId) {
+    const existing = await this.find(website.id, keyId);
+    if (!existing) return { error: 'API key not found', status: 404 };
+    if (existing.revoked_at) return { apiKey: describeKey(existing) };
+
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select();
+
+    if (error) throw new Error(error.message);
+
+    this.cache.del(existing.key_hash);
+    return { apiKey: describeKey(data[0]) };
+  }
+
+  async find(websiteId, keyId) {
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .select('*')
+      .eq('website_id', websiteId)
+      .eq('id', keyId)
+      .limit(1);
+
+    if (error) throw new Error(error.message);
+    return data && data.length > 0 ? data[0] : null;
+  }
+}
+
+export default ApiKeyStore;
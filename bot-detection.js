@@ -0,0 +1,87 @@
+import NodeCache from 'node-cache';
+import { isBotUserAgent } from './user-agent.js';
+
+// Per-visitor request counters for the rate heuristic, and visitors that
+// already tripped it so the rest of their burst is flagged too
+const rateWindows = new NodeCache({ stdTTL: 60, checkperiod: 30, useClones: false });
+const flaggedVisitors = new NodeCache({ stdTTL: 3600, checkperiod: 300 });
+
+// Requests, not events: a real browser can send a large batch at once when
+// it retries failed deliveries or releases events held until consent
+const MAX_REQUESTS_PER_MINUTE = parseInt(process.env.BOT_MAX_REQUESTS_PER_MINUTE || process.env.BOT_MAX_EVENTS_PER_MINUTE) || 60;
+
+const detections = {};
+
+// flag: store the event with is_bot = true, reject: drop it at ingestion
+export const BOT_FILTER_MODE = process.env.BOT_FILTER_MODE === 'reject' ? 'reject' : 'flag';
+
+function exceedsRate(key) {
+  const now = Date.now();
+  const window = rateWindows.get(key);
+
+  if (!window || now - window.start >= 60000) {
+    rateWindows.set(key, { start: now, count: 1 });
+    return false;
+  }
+
+  window.count++;
+  return window.count > MAX_REQUESTS_PER_MINUTE;
+}
+
+// The served tracker always reports screen, language and timezone; events
+// missing all of them were not produced by a real browser running our script
+function missingClientSignals(event) {
+  return !event.screenWidth && !event.language && !event.timezone;
+}
+
+function classify(event, context) {
+  const userAgent = event.userAgent || context.userAgent;
+  const visitorKey = `${event.siteId}:${event.visitorId}`;
+
+  if (!userAgent) {
+    return { isBot: true, reason: 'missing-user-agent' };
+  }
+
+  if (isBotUserAgent(userAgent)) {
+    return { isBot: true, reason: 'user-agent' };
+  }
+
+  if (event.webdriver === true) {
+    return { isBot: true, reason: 'webdriver' };
+  }
+
+  if (missingClientSignals(event)) {
+    return { isBot: true, reason: 'missing-client-signals' };
+  }
+
+  if (flaggedVisitors.get(visitorKey)) {
+    return { isBot: true, reason: 'request-rate' };
+  }
+
+  // context.countedVisitors is per request, so each visitor counts once per request
+  const counted = context.countedVisitors;
+  if (counted && counted.has(visitorKey)) {
+    return { isBot: false, reason: null };
+  }
+  if (counted) counted.add(visitorKey);
+
+  if (exceedsRate(visitorKey)) {
+    flaggedVisitors.set(visitorKey, true);
+    return { isBot: true, reason: 'request-rate' };
+  }
+
+  return { isBot: false, reason: null };
+}
+
+// Returns { isBot, reason } for a raw tracking payload
+export function detectBot(event, context = {}) {
+  const result = classify(event, context);
+  if (result.isBot) {
+    detections[result.reason] = (detections[result.reason] || 0) + 1;
+  }
+  return result;
+}
+
+export function getBotStats() {
+  return { mode: BOT_FILTER_MODE, detections: { ...detections } };
+}
@@ -72,13 +72,17 @@ class CacheManager {
   constructor() {
     this.redis = null;
     this.memory = memoryCache;
-    this.initialized = false;
+    this.initializing = null;
   }
 
-  async init() {
-    if (this.initialized) return;
-    this.redis = await initializeRedis();
-    this.initialized = true;
+  // Several modules call init() at startup; they share one connection attempt
+  init() {
+    if (!this.initializing) {
+      this.initializing = initializeRedis().then(redis => {
+        this.redis = redis;
+      });
+    }
+    return this.initializing;
   }
 
   async get(key) {
@@ -0,0 +1,354 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// E-commerce events from insightAI.ecommerce.* in the tracker or the server
+// events API. The event itself is stored in page_views with a short summary
+// in its properties; purchases are also written to the orders and order_items
+// tables, once per order ID, with the source, campaign and landing page of the
+// session they happened in.
+
+export const ECOMMERCE_EVENT_TYPES = ['view_item', 'add_to_cart', 'begin_checkout', 'purchase'];
+
+export const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+const MAX_ITEMS = 100;
+const MAX_ID_LENGTH = 128;
+const MAX_VALUE = 1e10;
+const MAX_PENDING_ORDERS = 10000;
+const FLUSH_INTERVAL = parseInt(process.env.ORDER_FLUSH_INTERVAL_MS) || 5000;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+function isAmount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value < MAX_VALUE;
+}
+
+function isOptionalString(value, maxLength) {
+  return value === undefined || value === null || (typeof value === 'string' && value.length <= maxLength);
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function validateItem(item, index, fail) {
+  const field = `ecommerce.items[${index}]`;
+
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    fail(field, 'Must be an object');
+    return null;
+  }
+
+  const itemId = typeof item.itemId === 'number' ? String(item.itemId) : item.itemId;
+  if (!itemId && !item.itemName) {
+    fail(field, 'itemId or itemName is required');
+  }
+  if (!isOptionalString(itemId, MAX_ID_LENGTH)) {
+    fail(`${field}.itemId`, `Must be a string or number of at most ${MAX_ID_LENGTH} characters`);
+  }
+  if (!isOptionalString(item.itemName, 255)) {
+    fail(`${field}.itemName`, 'Must be a string of at most 255 characters');
+  }
+  if (!isOptionalString(item.category, MAX_ID_LENGTH)) {
+    fail(`${field}.category`, `Must be a string of at most ${MAX_ID_LENGTH} characters`);
+  }
+  if (item.price !== undefined && !isAmount(item.price)) {
+    fail(`${field}.price`, 'Must be a non-negative number');
+  }
+  if (item.quantity !== undefined && (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > 10000)) {
+    fail(`${field}.quantity`, 'Must be an integer from 1 to 10000');
+  }
+
+  return {
+    itemId: itemId || null,
+    itemName: item.itemName || null,
+    category: item.category || null,
+    price: item.price !== undefined ? roundAmount(item.price) : null,
+    quantity: item.quantity || 1
+  };
+}
+
+// Returns { ecommerce } with defaults filled in, or { errors: [{ field, message }] }.
+// Purchases need an orderId; their value defaults to the sum of the items.
+export function validateEcommerce(eventType, data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { errors: [{ field: 'ecommerce', message: `Required for ${eventType} events and must be an object` }] };
+  }
+
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  const orderId = typeof data.orderId === 'number' ? String(data.orderId) : data.orderId;
+  if (eventType === 'purchase' && (typeof orderId !== 'string' || orderId.length === 0)) {
+    fail('ecommerce.orderId', 'Required for purchases');
+  }
+  if (!isOptionalString(orderId, MAX_ID_LENGTH)) {
+    fail('ecommerce.orderId', `Must be a string or number of at most ${MAX_ID_LENGTH} characters`);
+  }
+
+  const currency = typeof data.currency === 'string' ? data.currency.toUpperCase() : data.currency;
+  if (currency !== undefined && (typeof currency !== 'string' || !CURRENCY_PATTERN.test(currency))) {
+    fail('ecommerce.currency', 'Must be a three-letter ISO 4217 code');
+  }
+
+  if (data.value !== undefined && !isAmount(data.value)) {
+    fail('ecommerce.value', 'Must be a non-negative number');
+  }
+
+  let items = [];
+  if (data.items !== undefined) {
+    if (!Array.isArray(data.items) || data.items.length > MAX_ITEMS) {
+      fail('ecommerce.items', `Must be an array of up to ${MAX_ITEMS} items`);
+    } else {
+      items = data.items.map((item, index) => validateItem(item, index, fail));
+    }
+  }
+  if (eventType !== 'purchase' && eventType !== 'begin_checkout' && items.length === 0) {
+    fail('ecommerce.items', `At least one item is required for ${eventType} events`);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const itemsValue = items.reduce((sum, item) => sum + (item.price || 0) * item.quantity, 0);
+
+  return {
+    ecommerce: {
+      orderId: orderId || null,
+      value: roundAmount(data.value !== undefined ? data.value : itemsValue),
+      currency: currency || DEFAULT_CURRENCY,
+      items
+    }
+  };
+}
+
+// What the page_views row keeps; the items themselves go to order_items
+export function summarizeEcommerce(ecommerce) {
+  return {
+    ...(ecommerce.orderId ? { orderId: ecommerce.orderId } : {}),
+    value: ecommerce.value,
+    currency: ecommerce.currency,
+    itemCount: ecommerce.items.reduce((sum, item) => sum + item.quantity, 0),
+    itemIds: JSON.stringify(ecommerce.items.map(item => item.itemId || item.itemName).slice(0, 20))
+  };
+}
+
+// Orders are buffered and written in batches; failed writes are retried on
+// the next flush, and repeated order IDs are ignored by the unique index
+class OrderStore {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.pending = new Map();
+    this.pendingItems = [];
+    this.flushing = false;
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      this.flush().catch(error => console.error('Order flush error:', error));
+    }, FLUSH_INTERVAL);
+    this.timer.unref();
+  }
+
+  // `attribution` is the session's { source, utm_medium, utm_campaign, entry_page }
+  // when known; otherwise it is looked up from the sessions table
+  record(row, ecommerce, attribution = null) {
+    const key = `${row.site_id}|${ecommerce.orderId}`;
+    if (this.pending.has(key)) return;
+
+    if (this.pending.size >= MAX_PENDING_ORDERS) {
+      console.error('Order buffer full, dropping order', ecommerce.orderId, 'for', row.site_id);
+      return;
+    }
+
+    this.pending.set(key, {
+      order: {
+        id: uuidv4(),
+        site_id: row.site_id,
+        order_id: ecommerce.orderId,
+        visitor_id: row.visitor_id,
+        session_id: row.session_id || null,
+        user_id: row.user_id || null,
+        value: ecommerce.value,
+        currency: ecommerce.currency,
+        item_count: ecommerce.items.reduce((sum, item) => sum + item.quantity, 0),
+        source: attribution ? attribution.source : null,
+        utm_medium: attribution ? attribution.utm_medium : null,
+        utm_campaign: attribution ? attribution.utm_campaign : null,
+        landing_page: attribution ? attribution.entry_page : null,
+        created_at: row.created_at
+      },
+      items: ecommerce.items.map(item => ({
+        site_id: row.site_id,
+        order_id: ecommerce.orderId,
+        item_id: item.itemId,
+        item_name: item.itemName,
+        category: item.category,
+        price: item.price,
+        quantity: item.quantity
+      })),
+      attributed: Boolean(attribution)
+    });
+  }
+
+  // Server-side purchases usually arrive without a session; they are credited
+  // to the visitor's session that was active at the time, or the latest before it
+  async attribute(entry) {
+    const { order } = entry;
+    let query = this.supabase
+      .from('sessions')
+      .select('source, utm_medium, utm_campaign, entry_page')
+      .eq('site_id', order.site_id);
+
+    query = order.session_id
+      ? query.eq('session_id', order.session_id)
+      : query.eq('visitor_id', order.visitor_id).lte('started_at', order.created_at).order('started_at', { ascending: false });
+
+    const { data, error } = await query.limit(1);
+    if (error) {
+      console.error('Order attribution lookup error:', error.message);
+      return;
+    }
+
+    if (data && data.length > 0) {
+      order.source = data[0].source;
+      order.utm_medium = data[0].utm_medium;
+      order.utm_campaign = data[0].utm_campaign;
+      order.landing_page = data[0].entry_page;
+    }
+    entry.attributed = true;
+  }
+
+  async flush() {
+    if (this.flushing) return;
+    this.flushing = true;
+
+    try {
+      const entries = [...this.pending.entries()];
+
+      if (!this.supabase) {
+        entries.forEach(([key, { order }]) => {
+          console.log('🛒 Order (no DB):', order.site_id, order.order_id, order.value, order.currency);
+          this.pending.delete(key);
+        });
+        return;
+      }
+
+      if (entries.length > 0) {
+        for (const [, entry] of entries) {
+          if (!entry.attributed) await this.attribute(entry);
+        }
+
+        // Only orders not stored before come back, so their items are written once
+        const { data, error } = await this.supabase
+          .from('orders')
+          .upsert(entries.map(([, entry]) => entry.order), { onConflict: 'site_id,order_id', ignoreDuplicates: true })
+          .select('site_id, order_id');
+
+        if (error) {
+          console.error('Order write error:', error.message);
+          return;
+        }
+
+        const inserted = new Set((data || []).map(order => `${order.site_id}|${order.order_id}`));
+        entries.forEach(([key, entry]) => {
+          if (inserted.has(key)) this.pendingItems.push(...entry.items);
+          this.pending.delete(key);
+        });
+        console.log('✅ Stored', inserted.size, 'order(s),', entries.length - inserted.size, 'duplicate');
+      }
+
+      if (this.pendingItems.length > 0) {
+        const items = this.pendingItems;
+        const { error } = await this.supabase.from('order_items').insert(items);
+        if (error) {
+          console.error('Order items write error:', error.message);
+        } else {
+          this.pendingItems = this.pendingItems.slice(items.length);
+        }
+      }
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  async close() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.flush();
+  }
+}
+
+function emptyMetrics(name) {
+  return { name, sessions: 0, orders: 0, revenue: 0 };
+}
+
+function finishMetrics(metrics) {
+  return {
+    ...metrics,
+    revenue: roundAmount(metrics.revenue),
+    averageOrderValue: metrics.orders > 0 ? roundAmount(metrics.revenue / metrics.orders) : 0,
+    conversionRate: metrics.sessions > 0 ? parseFloat(((metrics.orders / metrics.sessions) * 100).toFixed(2)) : 0
+  };
+}
+
+// Revenue is only added up within one currency: the one most orders used
+export function reportingCurrency(orders) {
+  const counts = {};
+  orders.forEach(order => {
+    counts[order.currency] = (counts[order.currency] || 0) + 1;
+  });
+  const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return top ? top[0] : DEFAULT_CURRENCY;
+}
+
+// Revenue, orders, average order value and conversion rate (orders per
+// session) by session source, campaign and landing page. Orders in other
+// currencies than the reporting one are counted separately, not converted.
+export function summarizeOrders(orders, sessions) {
+  const currency = reportingCurrency(orders);
+  const reported = orders.filter(order => order.currency === currency);
+
+  const dimensions = {
+    bySource: row => row.source || 'direct',
+    byCampaign: row => row.utm_campaign || '(none)',
+    byLandingPage: row => row.landing_page || row.entry_page || '(unknown)'
+  };
+
+  const report = {};
+  for (const [dimension, getName] of Object.entries(dimensions)) {
+    const groups = {};
+    const group = name => (groups[name] = groups[name] || emptyMetrics(name));
+
+    sessions.forEach(session => {
+      group(getName(session)).sessions++;
+    });
+    reported.forEach(order => {
+      const metrics = group(getName(order));
+      metrics.orders++;
+      metrics.revenue += Number(order.value) || 0;
+    });
+
+    report[dimension] = Object.values(groups)
+      .map(finishMetrics)
+      .sort((a, b) => b.revenue - a.revenue || b.sessions - a.sessions);
+  }
+
+  const totals = finishMetrics({
+    name: 'total',
+    sessions: sessions.length,
+    orders: reported.length,
+    revenue: reported.reduce((sum, order) => sum + (Number(order.value) || 0), 0)
+  });
+  delete totals.name;
+
+  return {
+    currency,
+    totals: { ...totals, otherCurrencyOrders: orders.length - reported.length },
+    ...report
+  };
+}
+
+export default OrderStore;
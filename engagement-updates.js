@@ -0,0 +1,104 @@
+// Engaged time reported by heartbeats and exit events, and scroll depth
+// reported by scroll milestones, is attributed to the originating page view
+// row. Reports are coalesced per page view and written on an interval, since
+// a page view can send a heartbeat every few seconds.
+
+const FLUSH_INTERVAL = parseInt(process.env.ENGAGEMENT_FLUSH_INTERVAL_MS) || 10000;
+const MAX_ATTEMPTS = 3;
+const BATCH_SIZE = 500;
+
+// Anything longer is a tab left open, not time spent on the page
+export const MAX_ENGAGED_SECONDS = 4 * 60 * 60;
+
+export const SCROLL_MILESTONES = [25, 50, 75, 100];
+
+class EngagementUpdater {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.pending = new Map();
+    this.flushing = false;
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      this.flush().catch(error => console.error('Engagement flush error:', error));
+    }, FLUSH_INTERVAL);
+    this.timer.unref();
+  }
+
+  record(siteId, pageviewId, seconds) {
+    if (!Number.isFinite(seconds) || seconds <= 0) return;
+    this.raise(siteId, pageviewId, 'time_on_page', Math.min(Math.round(seconds), MAX_ENGAGED_SECONDS));
+  }
+
+  recordScrollDepth(siteId, pageviewId, depth) {
+    if (!SCROLL_MILESTONES.includes(depth)) return;
+    this.raise(siteId, pageviewId, 'scroll_depth', depth);
+  }
+
+  // Both columns only grow, so the latest report wins unless it is smaller
+  raise(siteId, pageviewId, column, value) {
+    if (!pageviewId) return;
+
+    const key = `${pageviewId}:${column}`;
+    const existing = this.pending.get(key);
+
+    if (!existing || value > existing.value) {
+      this.pending.set(key, { siteId, pageviewId, column, value, attempts: existing ? existing.attempts : 0 });
+    }
+  }
+
+  async flush() {
+    if (!this.supabase) {
+      this.pending.clear();
+      return;
+    }
+    if (this.flushing || this.pending.size === 0) return;
+
+    this.flushing = true;
+    const batch = [...this.pending.entries()];
+    this.pending.clear();
+
+    try {
+      // One call per chunk; apply_engagement_updates (see FUNCTION_MIGRATIONS
+      // in index.js) never lowers a value and reports which page views exist
+      for (let i = 0; i < batch.length; i += BATCH_SIZE) {
+        const chunk = batch.slice(i, i + BATCH_SIZE);
+        const { data, error } = await this.supabase.rpc('apply_engagement_updates', {
+          updates: chunk.map(([, update]) => ({
+            site_id: update.siteId,
+            pageview_id: update.pageviewId,
+            column: update.column,
+            value: update.value
+          }))
+        });
+
+        if (error) {
+          console.error('Engagement update error:', error.message);
+        }
+
+        const matched = new Set((error ? [] : data || []).map(row => `${row.matched_pageview_id}:${row.matched_column}`));
+
+        // The page view may still be sitting in the ingestion queue; try again later
+        chunk.forEach(([key, update]) => {
+          if (!matched.has(key) && update.attempts + 1 < MAX_ATTEMPTS && !this.pending.has(key)) {
+            this.pending.set(key, { ...update, attempts: update.attempts + 1 });
+          }
+        });
+      }
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  async close() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.flush();
+  }
+}
+
+export default EngagementUpdater;
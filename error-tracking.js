@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+
+// Front-end errors reported by the tracker are grouped by a fingerprint of
+// what went wrong and where, ignoring the details that change between
+// occurrences (ids in messages, line numbers, cache-busting file names).
+
+function normalizeMessage(message) {
+  return String(message || '')
+    .replace(/^Uncaught\s+(\(in promise\)\s+)?/i, '')
+    .replace(/\b0x[0-9a-f]+\b/gi, '<hex>')
+    .replace(/\d+/g, '<n>')
+    .trim()
+    .substring(0, 300);
+}
+
+function normalizeSource(source) {
+  if (!source) return '';
+
+  let pathname = String(source);
+  try {
+    pathname = new URL(pathname).pathname;
+  } catch (error) {
+    pathname = pathname.split(/[?#]/)[0];
+  }
+
+  // app.3f9a2c1b.js and app-3f9a2c1b.js are the same script across deploys
+  return pathname.replace(/[.-][0-9a-f]{6,}(?=\.)/gi, '');
+}
+
+export function fingerprintError(properties) {
+  const props = properties || {};
+  const key = [props.errorType || 'error', normalizeMessage(props.message), normalizeSource(props.source)].join('|');
+  return crypto.createHash('sha1').update(key).digest('hex').substring(0, 16);
+}
+
+// Groups error rows ({ error_fingerprint, visitor_id, pageview_id, path, properties, created_at })
+export function groupErrors(rows) {
+  const groups = {};
+
+  rows.forEach(row => {
+    const fingerprint = row.error_fingerprint || fingerprintError(row.properties);
+    const props = row.properties || {};
+    const seenAt = new Date(row.created_at).getTime();
+
+    if (!groups[fingerprint]) {
+      groups[fingerprint] = {
+        fingerprint,
+        occurrences: 0,
+        visitors: new Set(),
+        pageviews: new Set(),
+        pages: {},
+        firstSeen: seenAt,
+        lastSeen: seenAt,
+        sample: props
+      };
+    }
+
+    const group = groups[fingerprint];
+    group.occurrences++;
+    group.visitors.add(row.visitor_id);
+    if (row.pageview_id) group.pageviews.add(row.pageview_id);
+    group.pages[row.path] = (group.pages[row.path] || 0) + 1;
+    group.firstSeen = Math.min(group.firstSeen, seenAt);
+
+    // The most recent occurrence is the most useful example
+    if (seenAt >= group.lastSeen) {
+      group.lastSeen = seenAt;
+      group.sample = props;
+    }
+  });
+
+  return Object.values(groups)
+    .map(group => ({
+      fingerprint: group.fingerprint,
+      errorType: group.sample.errorType || 'error',
+      message: group.sample.message || null,
+      source: group.sample.source || null,
+      line: group.sample.line ?? null,
+      column: group.sample.column ?? null,
+      stack: group.sample.stack || null,
+      occurrences: group.occurrences,
+      affectedVisitors: group.visitors.size,
+      affectedPageviews: group.pageviews.size,
+      firstSeen: new Date(group.firstSeen).toISOString(),
+      lastSeen: new Date(group.lastSeen).toISOString(),
+      topPages: Object.entries(group.pages)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([path, occurrences]) => ({ path, occurrences }))
+    }))
+    .sort((a, b) => b.occurrences - a.occurrences);
+}
@@ -0,0 +1,90 @@
+import NodeCache from 'node-cache';
+
+// The tracker retries events it could not deliver, and a retry may repeat a
+// request that did reach the server. Client-generated event IDs are claimed
+// here so a retried event is only counted once; page_views also has a unique
+// index on (site_id, event_id) as a backstop for stored rows.
+
+const KEY_PREFIX = 'dedupe:event:';
+const MAX_EVENT_ID_LENGTH = 64;
+
+// A little longer than the tracker keeps events for retrying
+const DEDUPE_TTL = parseInt(process.env.EVENT_DEDUPE_TTL_SECONDS) || 26 * 60 * 60;
+const MAX_MEMORY_KEYS = parseInt(process.env.EVENT_DEDUPE_MAX_KEYS) || 200000;
+
+function dedupeKey(siteId, eventId) {
+  return `${KEY_PREFIX}${String(siteId).toLowerCase()}:${eventId}`;
+}
+
+export function normalizeEventId(eventId) {
+  if (typeof eventId !== 'string' || eventId.length === 0) return null;
+  return eventId.substring(0, MAX_EVENT_ID_LENGTH);
+}
+
+class EventDeduper {
+  constructor() {
+    this.redis = null;
+    this.memory = new NodeCache({ stdTTL: DEDUPE_TTL, checkperiod: 600, useClones: false, maxKeys: MAX_MEMORY_KEYS });
+    this.duplicates = 0;
+  }
+
+  // With Redis available event IDs are shared by every server instance;
+  // otherwise each process remembers its own
+  async init(cacheManager = null) {
+    if (!cacheManager) return;
+
+    await cacheManager.init();
+    if (cacheManager.redis && cacheManager.redis.isOpen) {
+      this.redis = cacheManager.redis;
+    }
+  }
+
+  // Returns false when the event was already received. Lookup failures let
+  // the event through; the database index still catches stored duplicates.
+  async claim(siteId, eventId) {
+    if (!eventId) return true;
+    const key = dedupeKey(siteId, eventId);
+
+    let claimed = true;
+    if (this.redis && this.redis.isOpen) {
+      try {
+        claimed = (await this.redis.set(key, '1', { NX: true, EX: DEDUPE_TTL })) === 'OK';
+      } catch (error) {
+        console.error('Event dedupe lookup error:', error.message);
+      }
+    } else if (this.memory.has(key)) {
+      claimed = false;
+    } else {
+      try {
+        this.memory.set(key, true);
+      } catch (error) {
+        // Cache full; the event is let through
+      }
+    }
+
+    if (!claimed) this.duplicates++;
+    return claimed;
+  }
+
+  // Gives event IDs back when their events could not be accepted, so the
+  // client's retry isn't mistaken for a duplicate
+  async release(claims) {
+    const keys = claims.filter(claim => claim.eventId).map(claim => dedupeKey(claim.siteId, claim.eventId));
+    if (keys.length === 0) return;
+
+    this.memory.del(keys);
+    if (this.redis && this.redis.isOpen) {
+      try {
+        await this.redis.del(keys);
+      } catch (error) {
+        console.error('Event dedupe release error:', error.message);
+      }
+    }
+  }
+
+  getStats() {
+    return { duplicates: this.duplicates };
+  }
+}
+
+export default EventDeduper;
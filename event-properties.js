@@ -0,0 +1,124 @@
+// Custom event properties: anything sent to /track beyond the standard
+// tracking fields is stored in the page_views.properties JSONB column.
+
+const MAX_KEYS = parseInt(process.env.EVENT_PROPERTIES_MAX_KEYS) || 25;
+const MAX_BYTES = parseInt(process.env.EVENT_PROPERTIES_MAX_BYTES) || 4096;
+const MAX_KEY_LENGTH = 64;
+
+// Fields the tracker and API already map to dedicated columns
+export const STANDARD_FIELDS = new Set([
+  'siteId',
+  'visitorId',
+  'path',
+  'search',
+  'referrer',
+  'screenWidth',
+  'screenHeight',
+  'language',
+  'timezone',
+  'eventType',
+  'timeOnPage',
+  'sessionId',
+  'pageviewId',
+  'scrollDepth',
+  'utmSource',
+  'utmMedium',
+  'utmCampaign',
+  'utmTerm',
+  'utmContent',
+  'gclid',
+  'fbclid',
+  'msclkid',
+  'userAgent',
+  'webdriver',
+  'trackingCode',
+  'cookieless',
+  'consent',
+  'eventId',
+  'ecommerce',
+  'timestamp',
+  'properties'
+]);
+
+// Event types produced by the tracker itself rather than insightAI.track()
+export const BUILT_IN_EVENT_TYPES = [
+  'pageview',
+  'pageexit',
+  'engagement',
+  'heartbeat',
+  'scroll',
+  'outbound',
+  'download',
+  'performance',
+  'error'
+];
+
+// Visitor interactions that make a session engaged. Custom events, e.g. a
+// sign-up or a server-side conversion, count as well.
+export const INTERACTION_EVENT_TYPES = ['engagement', 'outbound', 'download'];
+
+// Engaged time reported by heartbeats that counts as engagement on its own
+export const ENGAGED_SECONDS = parseInt(process.env.ENGAGED_SECONDS) || 10;
+
+// Rows stored before event types were recorded are page views
+export function isPageview(row) {
+  return !row.event_type || row.event_type === 'pageview';
+}
+
+// Sent by the site's own code when a page loads rather than by a visitor action
+const PASSIVE_EVENT_TYPES = ['view_item'];
+
+export function isEngagementEvent(row) {
+  const eventType = row.event_type || 'pageview';
+  if (PASSIVE_EVENT_TYPES.includes(eventType)) {
+    return false;
+  }
+  if (INTERACTION_EVENT_TYPES.includes(eventType) || !BUILT_IN_EVENT_TYPES.includes(eventType)) {
+    return true;
+  }
+  return ['pageview', 'heartbeat', 'pageexit'].includes(eventType) && row.time_on_page >= ENGAGED_SECONDS;
+}
+
+// Nested values are kept as JSON strings so every property can be grouped on
+function normalizeValue(value) {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+    return value;
+  }
+  return JSON.stringify(value);
+}
+
+// Returns { properties } or { error } when the limits are exceeded
+export function extractProperties(event) {
+  const properties = {};
+
+  const explicit = event.properties && typeof event.properties === 'object' && !Array.isArray(event.properties)
+    ? event.properties
+    : {};
+
+  const extra = Object.fromEntries(
+    Object.entries(event).filter(([key]) => !STANDARD_FIELDS.has(key))
+  );
+
+  for (const [key, value] of Object.entries({ ...extra, ...explicit })) {
+    if (value === undefined) continue;
+    if (key.length > MAX_KEY_LENGTH) {
+      return { error: `Property name too long: ${key.substring(0, MAX_KEY_LENGTH)}...` };
+    }
+    properties[key] = normalizeValue(value);
+  }
+
+  const keyCount = Object.keys(properties).length;
+  if (keyCount === 0) {
+    return { properties: null };
+  }
+
+  if (keyCount > MAX_KEYS) {
+    return { error: `Too many event properties (max ${MAX_KEYS})` };
+  }
+
+  if (Buffer.byteLength(JSON.stringify(properties)) > MAX_BYTES) {
+    return { error: `Event properties too large (max ${MAX_BYTES} bytes)` };
+  }
+
+  return { properties };
+}
@@ -0,0 +1,54 @@
+import maxmind from 'maxmind';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const EMPTY_LOCATION = { country: null, region: null, city: null };
+
+// Local MaxMind/DB-IP city database, e.g. GeoLite2-City.mmdb
+const dbPath = process.env.GEOIP_DB_PATH || path.join(__dirname, 'data', 'GeoLite2-City.mmdb');
+
+let reader = null;
+
+// Load the database once at startup; lookups return empty locations until then
+export async function initGeoIP() {
+  if (!fs.existsSync(dbPath)) {
+    console.log(`⚠️ GeoIP database not found at ${dbPath}, location enrichment disabled`);
+    return;
+  }
+
+  try {
+    reader = await maxmind.open(dbPath, { watchForUpdates: true });
+    console.log('✅ GeoIP database loaded:', path.basename(dbPath));
+  } catch (error) {
+    console.error('❌ Failed to load GeoIP database:', error.message);
+    reader = null;
+  }
+}
+
+// Resolve an IP to country (ISO code), region and city. The IP itself is never
+// returned or stored by callers, only the derived location.
+export function lookupLocation(ip) {
+  if (!reader || !ip) return EMPTY_LOCATION;
+
+  // IPv4-mapped IPv6 addresses as reported by Node, e.g. ::ffff:41.90.1.2
+  const address = ip.startsWith('::ffff:') ? ip.substring(7) : ip;
+  if (!maxmind.validate(address)) return EMPTY_LOCATION;
+
+  try {
+    const result = reader.get(address);
+    if (!result) return EMPTY_LOCATION;
+
+    return {
+      country: result.country?.iso_code || result.registered_country?.iso_code || null,
+      region: result.subdivisions?.[0]?.names?.en || null,
+      city: result.city?.names?.en || null
+    };
+  } catch (error) {
+    console.error('GeoIP lookup error:', error.message);
+    return EMPTY_LOCATION;
+  }
+}
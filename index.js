@@ -5,7 +5,7 @@ import path from 'path';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { createClient } from '@supabase/supabase-js';
 import compression from 'compression';
-import rateLimit from 'express-rate-limit';
+import rateLimit, { ipKeyGenerator } from 'express-rate-limit';
 import helmet from 'helmet';
 import { v4 as uuidv4 } from 'uuid';
 import fetch from "node-fetch";
@@ -17,6 +17,24 @@ import cluster from 'cluster';
 import os from 'os';
 import logger, { requestLogger, performanceLogger, errorLogger } from './logger.js';
 import cacheManager from './cache.js';
+import IngestQueue from './ingest-queue.js';
+import { parseUserAgent } from './user-agent.js';
+import { detectBot, getBotStats, BOT_FILTER_MODE } from './bot-detection.js';
+import { initGeoIP, lookupLocation } from './geoip.js';
+import SiteVerifier from './site-verification.js';
+import { extractProperties, BUILT_IN_EVENT_TYPES, isPageview, isEngagementEvent } from './event-properties.js';
+import EngagementUpdater, { SCROLL_MILESTONES } from './engagement-updates.js';
+import { fingerprintError, groupErrors } from './error-tracking.js';
+import VisitorHasher from './visitor-hash.js';
+import SessionTracker from './sessions.js';
+import EventDeduper, { normalizeEventId } from './event-dedupe.js';
+import ApiKeyStore from './api-keys.js';
+import { validateServerEvent } from './server-events.js';
+import { normalizePath, validatePathRules, reapplyPathRules, DEFAULT_PATH_RULES } from './path-rules.js';
+import { validateIpRanges, isIpExcluded } from './ip-exclusion.js';
+import DomainLinker from './linker.js';
+import OrderStore, { ECOMMERCE_EVENT_TYPES, validateEcommerce, summarizeEcommerce, summarizeOrders, reportingCurrency } from './ecommerce.js';
+import { loadTrackerScript, getTrackerScript, SCRIPT_ATTRIBUTES } from './tracker-script.js';
 
 // --- CLUSTERING SETUP ---
 const numCPUs = os.cpus().length;
@@ -207,6 +225,7 @@ function getEmptyStats() {
     totalVisitors: 0,
     newVisitors: 0,
     returningVisitors: 0,
+    cookielessVisitors: 0,
     bounceRate: 0,
     avgSessionDuration: 0,
     pagesPerVisit: 0,
@@ -214,9 +233,15 @@ function getEmptyStats() {
     realData: false,
     totalPageViews: 0,
     totalSessions: 0,
+    engagedSessions: 0,
+    engagementRate: 0,
+    eventCounts: {},
     exitPages: [],
     trafficSources: [],
-    conversionFunnel: []
+    conversionFunnel: [],
+    deviceBreakdown: { devices: [], browsers: [], operatingSystems: [] },
+    locationBreakdown: { countries: [], regions: [] },
+    consentBreakdown: []
   };
 }
 
@@ -259,6 +284,13 @@ function emitStatsUpdate(domain, stats) {
 }
 
 // --- MIDDLEWARE OPTIMIZATIONS ---
+// Only honor X-Forwarded-For behind a configured proxy: a hop count (TRUST_PROXY=1),
+// `true`, or a comma-separated list of proxy addresses/CIDRs
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' ? true : trustProxy);
+}
+
 app.use(helmet({
   contentSecurityPolicy: false,
   crossOriginEmbedderPolicy: false
@@ -268,7 +300,7 @@ app.use(compression());
 // --- TRIAL EXPIRATION MIDDLEWARE ---
 async function checkTrialExpiration(req, res, next) {
   try {
-    const publicPaths = ['/api/health', '/track', '/tracker.js', '/api/paypal'];
+    const publicPaths = ['/api/health', '/track', '/api/tracker', '/api/paypal'];
     if (publicPaths.some(path => req.path.startsWith(path))) {
       return next();
     }
@@ -310,44 +342,53 @@ async function checkTrialExpiration(req, res, next) {
 app.use(checkTrialExpiration);
 
 // Enhanced CORS configuration
-app.use(cors({
-  origin: function (origin, callback) {
-    if (!origin) return callback(null, true);
-    
-    const allowedOrigins = [
-      'http://localhost:3000', 
-      'http://localhost:5173', 
-      'https://localhost:3000',
-      'https://www.gigatechshop.co.ke',
-      'https://gigatechshop.co.ke',
-      'https://www.yourspaceanalytics.info',
-      'https://yourspaceanalytics.info',
-      'https://tooler-io.onrender.com'
-    ];
-    
-    if (allowedOrigins.indexOf(origin) !== -1) {
-      callback(null, true);
-    } else {
-      callback(null, true);
-    }
-  },
-    credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: [
-    'Content-Type', 
-    'Authorization', 
-    'X-Requested-With', 
-    'x-user-id',
-    'Accept',
-    'Origin'
-  ],
-  exposedHeaders: ['Content-Length', 'X-Request-ID'],
-  maxAge: 86400 // 24 hours
-}))
+const allowedOrigins = [
+  'http://localhost:3000', 
+  'http://localhost:5173', 
+  'https://localhost:3000',
+  'https://www.gigatechshop.co.ke',
+  'https://gigatechshop.co.ke',
+  'https://www.yourspaceanalytics.info',
+  'https://yourspaceanalytics.info',
+  'https://tooler-io.onrender.com'
+];
+
+if (process.env.FRONTEND_URL) {
+  allowedOrigins.push(process.env.FRONTEND_URL.replace(/\/$/, ''));
+}
+
+// Tracking endpoints are called from every customer site, so any origin may
+// reach them; /track checks the origin against the registered site instead
+const isTrackingPath = (path) => path.startsWith('/track');
+
+app.use(cors((req, callback) => {
+  callback(null, {
+    origin: isTrackingPath(req.path) ? true : function (origin, originCallback) {
+      if (!origin) return originCallback(null, true);
+      originCallback(null, allowedOrigins.indexOf(origin) !== -1);
+    },
+    credentials: !isTrackingPath(req.path),
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
+    allowedHeaders: [
+      'Content-Type', 
+      'Authorization', 
+      'X-Requested-With', 
+      'x-user-id',
+      'Accept',
+      'Origin'
+    ],
+    exposedHeaders: ['Content-Length', 'X-Request-ID'],
+    maxAge: 86400 // 24 hours
+  });
+}));
 // Handle preflight requests
 app.options('/track', cors());
+app.options('/track/batch', cors());
 app.options('/api/stats/:domain', cors());
 app.options('/tracker.js', cors());
+app.options('/api/tracker', cors());
+app.options('/track/linker', cors());
+app.options('/track/linker/adopt', cors());
 
 app.use(express.json({ limit: '10mb' }));
 
@@ -382,6 +423,8 @@ async function setupDatabase() {
     } else {
       console.log('✅ Database connection successful - tables exist');
     }
+
+    await applySchemaMigrations();
   } catch (error) {
     console.log('⚠️ Database setup error:', error.message);
   }
@@ -415,6 +458,25 @@ async function createTables() {
           utm_source TEXT,
           utm_medium TEXT,
           utm_campaign TEXT,
+          utm_term TEXT,
+          utm_content TEXT,
+          gclid TEXT,
+          fbclid TEXT,
+          msclkid TEXT,
+          browser TEXT,
+          browser_version TEXT,
+          os TEXT,
+          device_type TEXT,
+          is_bot BOOLEAN DEFAULT false,
+          country TEXT,
+          region TEXT,
+          city TEXT,
+          properties JSONB,
+          pageview_id TEXT,
+          scroll_depth INTEGER,
+          error_fingerprint TEXT,
+          cookieless BOOLEAN DEFAULT false,
+          consent TEXT,
           created_at TIMESTAMPTZ DEFAULT NOW()
         );
       `
@@ -433,6 +495,9 @@ async function createTables() {
           id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
           userId TEXT NOT NULL,
           domain TEXT NOT NULL,
+          aliases TEXT[] DEFAULT '{}',
+          privacy_mode TEXT DEFAULT 'standard',
+          respect_dnt BOOLEAN DEFAULT false,
           created_at TIMESTAMPTZ DEFAULT NOW(),
           UNIQUE(userId, domain)
         );
@@ -492,7 +557,315 @@ async function createTables() {
   }
 }
 
+// Tables added after the initial schema, created on startup if missing
+const TABLE_MIGRATIONS = [
+  {
+    table: 'sessions',
+    sql: `
+      CREATE TABLE IF NOT EXISTS sessions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        site_id TEXT NOT NULL,
+        session_id TEXT NOT NULL,
+        visitor_id TEXT NOT NULL,
+        started_at TIMESTAMPTZ NOT NULL,
+        last_activity_at TIMESTAMPTZ NOT NULL,
+        duration INTEGER DEFAULT 0,
+        entered_at TIMESTAMPTZ,
+        entry_page TEXT,
+        exited_at TIMESTAMPTZ,
+        exit_page TEXT,
+        pageviews INTEGER DEFAULT 0,
+        is_bounce BOOLEAN DEFAULT true,
+        engaged BOOLEAN DEFAULT false,
+        source TEXT,
+        referrer TEXT,
+        utm_medium TEXT,
+        utm_campaign TEXT,
+        is_bot BOOLEAN DEFAULT false,
+        cookieless BOOLEAN DEFAULT false,
+        UNIQUE(site_id, session_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_sessions_site_started ON sessions(site_id, started_at);
+      CREATE INDEX IF NOT EXISTS idx_sessions_visitor_activity ON sessions(site_id, visitor_id, last_activity_at);
+    `
+  },
+  {
+    table: 'api_keys',
+    sql: `
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        website_id UUID NOT NULL,
+        site_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        name TEXT,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        last_used_at TIMESTAMPTZ,
+        expires_at TIMESTAMPTZ,
+        revoked_at TIMESTAMPTZ
+      );
+      CREATE INDEX IF NOT EXISTS idx_api_keys_website ON api_keys(website_id);
+    `
+  },
+  {
+    table: 'orders',
+    sql: `
+      CREATE TABLE IF NOT EXISTS orders (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        site_id TEXT NOT NULL,
+        order_id TEXT NOT NULL,
+        visitor_id TEXT,
+        session_id TEXT,
+        user_id TEXT,
+        value NUMERIC(14,2) NOT NULL DEFAULT 0,
+        currency TEXT NOT NULL,
+        item_count INTEGER DEFAULT 0,
+        source TEXT,
+        utm_medium TEXT,
+        utm_campaign TEXT,
+        landing_page TEXT,
+        created_at TIMESTAMPTZ NOT NULL,
+        UNIQUE(site_id, order_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_orders_site_created ON orders(site_id, created_at);
+    `
+  },
+  {
+    table: 'order_items',
+    sql: `
+      CREATE TABLE IF NOT EXISTS order_items (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        site_id TEXT NOT NULL,
+        order_id TEXT NOT NULL,
+        item_id TEXT,
+        item_name TEXT,
+        category TEXT,
+        price NUMERIC(14,2),
+        quantity INTEGER DEFAULT 1
+      );
+      CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(site_id, order_id);
+    `
+  }
+];
+
+// Columns added after the initial schema; existing databases are upgraded in place
+const COLUMN_MIGRATIONS = [
+  { table: 'page_views', column: 'browser TEXT' },
+  { table: 'page_views', column: 'browser_version TEXT' },
+  { table: 'page_views', column: 'os TEXT' },
+  { table: 'page_views', column: 'device_type TEXT' },
+  { table: 'page_views', column: 'is_bot BOOLEAN DEFAULT false' },
+  { table: 'page_views', column: 'country TEXT' },
+  { table: 'page_views', column: 'region TEXT' },
+  { table: 'page_views', column: 'city TEXT' },
+  { table: 'page_views', column: 'properties JSONB' },
+  { table: 'page_views', column: 'pageview_id TEXT' },
+  { table: 'page_views', column: 'scroll_depth INTEGER' },
+  { table: 'page_views', column: 'error_fingerprint TEXT' },
+  { table: 'page_views', column: 'cookieless BOOLEAN DEFAULT false' },
+  { table: 'page_views', column: 'consent TEXT' },
+  { table: 'page_views', column: 'utm_term TEXT' },
+  { table: 'page_views', column: 'utm_content TEXT' },
+  { table: 'page_views', column: 'gclid TEXT' },
+  { table: 'page_views', column: 'fbclid TEXT' },
+  { table: 'page_views', column: 'msclkid TEXT' },
+  { table: 'page_views', column: 'event_id TEXT' },
+  { table: 'page_views', column: 'user_id TEXT' },
+  { table: 'sessions', column: 'engaged BOOLEAN DEFAULT false' },
+  { table: 'sessions', column: 'entered_at TIMESTAMPTZ' },
+  { table: 'sessions', column: 'exited_at TIMESTAMPTZ' },
+  { table: 'websites', column: "aliases TEXT[] DEFAULT '{}'" },
+  { table: 'websites', column: "privacy_mode TEXT DEFAULT 'standard'" },
+  { table: 'websites', column: 'respect_dnt BOOLEAN DEFAULT false' },
+  { table: 'websites', column: 'path_rules JSONB' },
+  { table: 'websites', column: "excluded_ips TEXT[] DEFAULT '{}'" },
+  { table: 'websites', column: 'link_group TEXT' },
+  { table: 'websites', column: 'path_rules_job JSONB' }
+];
+
+const INDEX_MIGRATIONS = [
+  'CREATE INDEX IF NOT EXISTS idx_page_views_pageview_id ON page_views(pageview_id);',
+  'CREATE INDEX IF NOT EXISTS idx_page_views_error_fingerprint ON page_views(site_id, error_fingerprint) WHERE error_fingerprint IS NOT NULL;',
+  // Rows without an event ID never conflict, since NULLs are distinct
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_page_views_site_event_id ON page_views(site_id, event_id);',
+  // Domains registered before they were stored lower case, unless the owner
+  // also has the lower-case one
+  `UPDATE websites w SET domain = lower(w.domain)
+    WHERE w.domain <> lower(w.domain)
+      AND NOT EXISTS (SELECT 1 FROM websites o WHERE o.userId = w.userId AND o.domain = lower(w.domain));`
+];
+
+// Functions called through supabase.rpc() for writes that must be batched or
+// applied atomically in the database
+const FUNCTION_MIGRATIONS = [
+  {
+    name: 'apply_engagement_updates',
+    // Raises time_on_page or scroll_depth on each page view, never lowering
+    // it; returns the updates whose page view exists
+    sql: `
+      CREATE OR REPLACE FUNCTION apply_engagement_updates(updates JSONB)
+      RETURNS TABLE (matched_pageview_id TEXT, matched_column TEXT)
+      LANGUAGE sql AS $$
+        WITH input AS (
+          SELECT u->>'site_id' AS site_id, u->>'pageview_id' AS pageview_id,
+            u->>'column' AS col, (u->>'value')::INTEGER AS value
+          FROM jsonb_array_elements(updates) u
+        ),
+        -- A row can only be updated once per statement, so both columns go together
+        updated AS (
+          UPDATE page_views p
+          SET time_on_page = GREATEST(p.time_on_page, i.time_on_page),
+            scroll_depth = GREATEST(p.scroll_depth, i.scroll_depth)
+          FROM (
+            SELECT site_id, pageview_id,
+              MAX(value) FILTER (WHERE col = 'time_on_page') AS time_on_page,
+              MAX(value) FILTER (WHERE col = 'scroll_depth') AS scroll_depth
+            FROM input
+            GROUP BY site_id, pageview_id
+          ) i
+          WHERE p.site_id = i.site_id AND p.pageview_id = i.pageview_id AND p.event_type = 'pageview'
+            AND (i.time_on_page > COALESCE(p.time_on_page, -1) OR i.scroll_depth > COALESCE(p.scroll_depth, -1))
+          RETURNING p.id
+        )
+        SELECT DISTINCT i.pageview_id, i.col
+        FROM input i
+        JOIN page_views p ON p.site_id = i.site_id AND p.pageview_id = i.pageview_id AND p.event_type = 'pageview';
+      $$;
+    `
+  },
+  {
+    name: 'record_sessions',
+    // Merges what one server process saw of each session into its row (see
+    // sessions.js): page views are added, engagement is ORed, the earliest
+    // entry and latest exit win. Rows from before entered_at and exited_at
+    // existed fall back to their start and last activity.
+    sql: `
+      CREATE OR REPLACE FUNCTION record_sessions(updates JSONB)
+      RETURNS VOID
+      LANGUAGE sql AS $$
+        INSERT INTO sessions AS s (
+          site_id, session_id, visitor_id, started_at, last_activity_at, duration,
+          entered_at, entry_page, exited_at, exit_page, pageviews, engaged, is_bounce,
+          source, referrer, utm_medium, utm_campaign, is_bot, cookieless
+        )
+        SELECT u.site_id, u.session_id, u.visitor_id, u.started_at, u.last_activity_at,
+          ROUND(EXTRACT(EPOCH FROM u.last_activity_at - u.started_at))::INTEGER,
+          u.entered_at, u.entry_page, u.exited_at, u.exit_page, u.pageviews,
+          u.pageviews > 1 OR u.interacted, NOT (u.pageviews > 1 OR u.interacted),
+          u.source, u.referrer, u.utm_medium, u.utm_campaign, u.is_bot, u.cookieless
+        FROM jsonb_to_recordset(updates) AS u(
+          site_id TEXT, session_id TEXT, visitor_id TEXT, started_at TIMESTAMPTZ, last_activity_at TIMESTAMPTZ,
+          entered_at TIMESTAMPTZ, entry_page TEXT, exited_at TIMESTAMPTZ, exit_page TEXT, pageviews INTEGER,
+          interacted BOOLEAN, source TEXT, referrer TEXT, utm_medium TEXT, utm_campaign TEXT,
+          is_bot BOOLEAN, cookieless BOOLEAN
+        )
+        ON CONFLICT (site_id, session_id) DO UPDATE SET
+          started_at = LEAST(s.started_at, EXCLUDED.started_at),
+          last_activity_at = GREATEST(s.last_activity_at, EXCLUDED.last_activity_at),
+          duration = ROUND(EXTRACT(EPOCH FROM GREATEST(s.last_activity_at, EXCLUDED.last_activity_at)
+            - LEAST(s.started_at, EXCLUDED.started_at)))::INTEGER,
+          pageviews = s.pageviews + EXCLUDED.pageviews,
+          engaged = s.engaged OR EXCLUDED.engaged OR s.pageviews + EXCLUDED.pageviews > 1,
+          is_bounce = NOT (s.engaged OR EXCLUDED.engaged OR s.pageviews + EXCLUDED.pageviews > 1),
+          entered_at = CASE WHEN EXCLUDED.entry_page IS NOT NULL AND (s.entry_page IS NULL OR EXCLUDED.entered_at < COALESCE(s.entered_at, s.started_at))
+            THEN EXCLUDED.entered_at ELSE s.entered_at END,
+          entry_page = CASE WHEN EXCLUDED.entry_page IS NOT NULL AND (s.entry_page IS NULL OR EXCLUDED.entered_at < COALESCE(s.entered_at, s.started_at))
+            THEN EXCLUDED.entry_page ELSE s.entry_page END,
+          source = CASE WHEN EXCLUDED.entry_page IS NOT NULL AND (s.entry_page IS NULL OR EXCLUDED.entered_at < COALESCE(s.entered_at, s.started_at))
+            THEN EXCLUDED.source ELSE s.source END,
+          referrer = CASE WHEN EXCLUDED.entry_page IS NOT NULL AND (s.entry_page IS NULL OR EXCLUDED.entered_at < COALESCE(s.entered_at, s.started_at))
+            THEN EXCLUDED.referrer ELSE s.referrer END,
+          utm_medium = CASE WHEN EXCLUDED.entry_page IS NOT NULL AND (s.entry_page IS NULL OR EXCLUDED.entered_at < COALESCE(s.entered_at, s.started_at))
+            THEN EXCLUDED.utm_medium ELSE s.utm_medium END,
+          utm_campaign = CASE WHEN EXCLUDED.entry_page IS NOT NULL AND (s.entry_page IS NULL OR EXCLUDED.entered_at < COALESCE(s.entered_at, s.started_at))
+            THEN EXCLUDED.utm_campaign ELSE s.utm_campaign END,
+          exited_at = CASE WHEN EXCLUDED.exit_page IS NOT NULL AND (s.exit_page IS NULL OR EXCLUDED.exited_at >= COALESCE(s.exited_at, s.last_activity_at))
+            THEN EXCLUDED.exited_at ELSE s.exited_at END,
+          exit_page = CASE WHEN EXCLUDED.exit_page IS NOT NULL AND (s.exit_page IS NULL OR EXCLUDED.exited_at >= COALESCE(s.exited_at, s.last_activity_at))
+            THEN EXCLUDED.exit_page ELSE s.exit_page END,
+          is_bot = s.is_bot OR EXCLUDED.is_bot,
+          cookieless = s.cookieless OR EXCLUDED.cookieless;
+      $$;
+    `
+  }
+];
+
+async function applySchemaMigrations() {
+  if (!supabase) return;
+
+  let failed = 0;
+  const total = TABLE_MIGRATIONS.length + COLUMN_MIGRATIONS.length + INDEX_MIGRATIONS.length + FUNCTION_MIGRATIONS.length;
+
+  for (const { table, sql } of TABLE_MIGRATIONS) {
+    try {
+      const { error } = await supabase.rpc('exec_sql', { sql });
+      if (error) {
+        failed++;
+        console.error(`❌ Could not create ${table} table:`, error.message);
+      }
+    } catch (error) {
+      failed++;
+      console.error(`❌ Table migration error for ${table}:`, error.message);
+    }
+  }
+
+  for (const { table, column } of COLUMN_MIGRATIONS) {
+    try {
+      const { error } = await supabase.rpc('exec_sql', {
+        sql: `ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column};`
+      });
+
+      if (error) {
+        failed++;
+        console.error(`❌ Could not add ${table}.${column.split(' ')[0]} column:`, error.message);
+      }
+    } catch (error) {
+      failed++;
+      console.error(`❌ Column migration error for ${table}:`, error.message);
+    }
+  }
+
+  for (const sql of INDEX_MIGRATIONS) {
+    try {
+      const { error } = await supabase.rpc('exec_sql', { sql });
+      if (error) {
+        failed++;
+        console.error('❌ Index migration failed:', error.message);
+      }
+    } catch (error) {
+      failed++;
+      console.error('❌ Index migration error:', error.message);
+    }
+  }
+
+  for (const { name, sql } of FUNCTION_MIGRATIONS) {
+    try {
+      const { error } = await supabase.rpc('exec_sql', { sql });
+      if (error) {
+        failed++;
+        console.error(`❌ Could not create ${name} function:`, error.message);
+      }
+    } catch (error) {
+      failed++;
+      console.error(`❌ Function migration error for ${name}:`, error.message);
+    }
+  }
+
+  if (failed === total) {
+    console.error(`❌ Schema migrations failed: none of ${total} could be applied (is the exec_sql function installed?)`);
+  } else if (failed > 0) {
+    console.warn(`⚠️ Schema migrations applied with ${failed} of ${total} failing; see the errors above`);
+  } else {
+    console.log(`✅ Schema migrations applied (${total})`);
+  }
+}
+
 setupDatabase();
+initGeoIP();
+loadTrackerScript().catch(error => {
+  console.error('❌ Failed to load tracker script:', error.message);
+});
 
 // --- MATERIALIZED VIEWS FOR PERFORMANCE ---
 async function createMaterializedViews() {
@@ -517,8 +890,14 @@ async function createMaterializedViews() {
   }
 }
 
+// Bot traffic is flagged at ingestion and left out of reports unless requested
+function excludeBotTraffic(pageViews, includeBots = false) {
+  if (includeBots) return pageViews;
+  return pageViews.filter(pv => !pv.is_bot);
+}
+
 // --- ENHANCED STATS CALCULATION WITH TRENDS ---
-async function calculateRealStats(pageViews, timeRange = '24h', domain = null) {
+async function calculateRealStats(pageViews, timeRange = '24h', domain = null, options = {}) {
   if (!pageViews || !Array.isArray(pageViews)) {
     console.log('⚠️ calculateRealStats: pageViews is undefined or not an array');
     return getEmptyStats();
@@ -545,11 +924,11 @@ async function calculateRealStats(pageViews, timeRange = '24h', domain = null) {
   });
 
   // Calculate current period stats
-  const currentStats = await calculatePeriodStats(filteredPageViews, domain, startTime);
+  const currentStats = await calculatePeriodStats(filteredPageViews, domain, startTime, options);
   
   // Calculate previous period stats for trends
   const previousStats = previousPageViews.length > 0 
-    ? await calculatePeriodStats(previousPageViews, domain, previousStartTime)
+    ? await calculatePeriodStats(previousPageViews, domain, previousStartTime, { ...options, periodEndTime: startTime })
     : null;
 
   // Calculate trends
@@ -578,31 +957,114 @@ function getPreviousPeriodStart(timeRange) {
   }
 }
 
-// Extract the stats calculation into a reusable function
-async function calculatePeriodStats(pageViews, domain, periodStartTime) {
-  const visitors = new Set();
+// A page view lasts until the end of its engaged time, so single-page
+// sessions still have a duration
+function pageEndTime(pv, visitTime) {
+  return new Date(visitTime.getTime() + (pv.time_on_page || 0) * 1000);
+}
+
+// Stats for a link group (see linker.js) cover several site IDs at once
+function filterSites(query, domain) {
+  return Array.isArray(domain) ? query.in('site_id', domain) : query.eq('site_id', domain);
+}
+
+// A journey across linked domains keeps its session ID but has a session row
+// per domain; those rows are combined into one session
+function mergeLinkedSessions(storedSessions) {
+  const merged = new Map();
+
+  storedSessions.forEach(session => {
+    const existing = merged.get(session.session_id);
+    if (!existing) {
+      merged.set(session.session_id, { ...session });
+      return;
+    }
+
+    const startedAt = Math.min(new Date(existing.started_at).getTime(), new Date(session.started_at).getTime());
+    const lastActivityAt = Math.max(new Date(existing.last_activity_at).getTime(), new Date(session.last_activity_at).getTime());
+
+    existing.started_at = new Date(startedAt).toISOString();
+    existing.last_activity_at = new Date(lastActivityAt).toISOString();
+    existing.duration = Math.round((lastActivityAt - startedAt) / 1000);
+    existing.pageviews += session.pageviews;
+    existing.engaged = existing.engaged || session.engaged || existing.pageviews > 1;
+    existing.is_bounce = !existing.engaged;
+  });
+
+  return [...merged.values()];
+}
+
+// Sessions stitched at ingestion (see sessions.js). Periods recorded before
+// the sessions table existed have none and fall back to the 30-minute gap rule.
+async function fetchStoredSessions(domain, periodStartTime, periodEndTime, includeBots) {
+  if (!supabase || !domain) return [];
+
+  const linked = Array.isArray(domain);
+  let query = filterSites(supabase
+    .from('sessions')
+    .select(linked ? 'session_id, started_at, last_activity_at, pageviews, duration, is_bounce, engaged' : 'pageviews, duration, is_bounce, engaged'), domain)
+    .gte('started_at', periodStartTime.toISOString())
+    .gt('pageviews', 0);
+
+  if (periodEndTime) {
+    query = query.lt('started_at', periodEndTime.toISOString());
+  }
+  if (!includeBots) {
+    query = query.not('is_bot', 'is', true);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    console.error('Error fetching sessions:', error.message);
+    return [];
+  }
+  return linked ? mergeLinkedSessions(data || []) : data || [];
+}
+
+// Orders stored from purchase events (see ecommerce.js); bot traffic never
+// creates one
+async function fetchOrders(domain, startDate, columns = 'source, utm_campaign, landing_page, value, currency') {
+  if (!supabase || !domain) return [];
+
+  const { data, error } = await filterSites(supabase
+    .from('orders')
+    .select(columns), domain)
+    .gte('created_at', startDate.toISOString());
+
+  if (error) {
+    console.error('Error fetching orders:', error.message);
+    return [];
+  }
+  return data || [];
+}
+
+// Every session is either a bounce or engaged
+function summarizeStoredSessions(storedSessions) {
+  const totalSessions = storedSessions.length;
+  const bounceSessions = storedSessions.filter(session => session.is_bounce).length;
+  const timedSessions = storedSessions.filter(session => session.duration > 0);
+  const totalPageviews = storedSessions.reduce((sum, session) => sum + session.pageviews, 0);
+
+  return {
+    totalSessions,
+    engagedSessions: totalSessions - bounceSessions,
+    bounceRate: totalSessions > 0 ? (bounceSessions / totalSessions) * 100 : 0,
+    avgSessionDuration: timedSessions.length > 0
+      ? Math.round(timedSessions.reduce((sum, session) => sum + session.duration, 0) / timedSessions.length)
+      : 0,
+    pagesPerVisit: totalSessions > 0 ? parseFloat((totalPageviews / totalSessions).toFixed(1)) : 0
+  };
+}
+
+// Rebuilds sessions from raw rows: a visitor's events less than 30 minutes
+// apart. Only sessions with a page view count; a bounce is a session with a
+// single page view and no engagement event.
+function summarizeGapSessions(pageViews) {
   const sessions = new Map();
-  const visitorEvents = {};
-  const visitorFirstSeen = {};
 
-  // Process page views and calculate sessions
   pageViews.forEach(pv => {
     const visitorId = pv.visitor_id;
     const visitTime = new Date(pv.created_at);
-    
-    visitors.add(visitorId);
-    
-    if (!visitorFirstSeen[visitorId] || visitTime < visitorFirstSeen[visitorId]) {
-      visitorFirstSeen[visitorId] = visitTime;
-    }
-
-    if (!visitorEvents[visitorId]) {
-      visitorEvents[visitorId] = [];
-    }
-    visitorEvents[visitorId].push({
-      ...pv,
-      timestamp: visitTime
-    });
 
     if (!sessions.has(visitorId)) {
       sessions.set(visitorId, []);
@@ -617,7 +1079,7 @@ async function calculatePeriodStats(pageViews, domain, periodStartTime) {
 
       if (timeDiff <= 30) {
         session.events.push(pv);
-        session.endTime = visitTime;
+        session.endTime = new Date(Math.max(session.endTime, pageEndTime(pv, visitTime)));
         sessionFound = true;
         break;
       }
@@ -626,59 +1088,97 @@ async function calculatePeriodStats(pageViews, domain, periodStartTime) {
     if (!sessionFound) {
       visitorSessions.push({
         startTime: visitTime,
-        endTime: visitTime,
+        endTime: pageEndTime(pv, visitTime),
         events: [pv],
         sessionId: `${visitorId}-${visitTime.getTime()}`
       });
     }
   });
 
-  // Calculate total sessions
-  let totalSessions = 0;
-  sessions.forEach(visitorSessions => {
-    totalSessions += visitorSessions.length;
-  });
+  const pageSessions = [...sessions.values()]
+    .flat()
+    .map(session => ({ ...session, pageviews: session.events.filter(isPageview).length }))
+    .filter(session => session.pageviews > 0);
+
+  const totalSessions = pageSessions.length;
+  const totalPageviews = pageSessions.reduce((sum, session) => sum + session.pageviews, 0);
 
-  // Calculate bounce rate (sessions with only one pageview)
   let bounceSessions = 0;
-  sessions.forEach(visitorSessions => {
-    visitorSessions.forEach(session => {
-      if (session.events.length === 1) {
-        bounceSessions++;
-      }
-    });
+  pageSessions.forEach(session => {
+    if (session.pageviews === 1 && !session.events.some(isEngagementEvent)) {
+      bounceSessions++;
+    }
   });
 
-  const bounceRate = totalSessions > 0 ? (bounceSessions / totalSessions) * 100 : 0;
-
   // Calculate average session duration
   let totalSessionDuration = 0;
   let sessionsWithDuration = 0;
 
-  sessions.forEach(visitorSessions => {
-    visitorSessions.forEach(session => {
-      if (session.events.length > 1) {
-        const duration = (session.endTime - session.startTime) / 1000;
-        totalSessionDuration += duration;
-        sessionsWithDuration++;
-      }
-    });
+  pageSessions.forEach(session => {
+    if (session.endTime > session.startTime) {
+      const duration = (session.endTime - session.startTime) / 1000;
+      totalSessionDuration += duration;
+      sessionsWithDuration++;
+    }
+  });
+
+  return {
+    totalSessions,
+    engagedSessions: totalSessions - bounceSessions,
+    bounceRate: totalSessions > 0 ? (bounceSessions / totalSessions) * 100 : 0,
+    avgSessionDuration: sessionsWithDuration > 0 ? Math.round(totalSessionDuration / sessionsWithDuration) : 0,
+    pagesPerVisit: totalSessions > 0 ? parseFloat((totalPageviews / totalSessions).toFixed(1)) : 0
+  };
+}
+
+// Extract the stats calculation into a reusable function
+async function calculatePeriodStats(pageViews, domain, periodStartTime, options = {}) {
+  const { includeBots = false, periodEndTime = null } = options;
+  pageViews = excludeBotTraffic(pageViews, includeBots);
+
+  // Visitors and page views come from page view rows only; the other events
+  // are counted by type and decide which sessions were engaged
+  const pageviewRows = pageViews.filter(isPageview);
+  const eventCounts = {};
+
+  pageViews.forEach(pv => {
+    const eventType = pv.event_type || 'pageview';
+    eventCounts[eventType] = (eventCounts[eventType] || 0) + 1;
   });
 
-  const avgSessionDuration = sessionsWithDuration > 0 ? 
-    Math.round(totalSessionDuration / sessionsWithDuration) : 0;
+  const visitors = new Set();
+  const cookielessVisitors = new Set();
+
+  pageviewRows.forEach(pv => {
+    visitors.add(pv.visitor_id);
+    if (pv.cookieless) {
+      cookielessVisitors.add(pv.visitor_id);
+    }
+  });
 
-  // Calculate returning visitors (visited before the period)
+  const storedSessions = await fetchStoredSessions(domain, periodStartTime, periodEndTime, includeBots);
+  const { totalSessions, engagedSessions, bounceRate, avgSessionDuration, pagesPerVisit } = storedSessions.length > 0
+    ? summarizeStoredSessions(storedSessions)
+    : summarizeGapSessions(pageViews);
+
+  // Calculate returning visitors (visited before the period). Cookieless visitor
+  // IDs change every day, so those visitors can be neither new nor returning.
   let returningVisitors = 0;
   let historicalVisitors = new Set();
 
   if (supabase) {
     try {
-      const { data: historicalData, error: histError } = await supabase
+      let historicalQuery = filterSites(supabase
         .from('page_views')
-        .select('visitor_id')
-        .eq('site_id', domain)
-        .lt('created_at', periodStartTime.toISOString());
+        .select('visitor_id'), domain)
+        .lt('created_at', periodStartTime.toISOString())
+        .not('cookieless', 'is', true);
+
+      if (!includeBots) {
+        historicalQuery = historicalQuery.not('is_bot', 'is', true);
+      }
+
+      const { data: historicalData, error: histError } = await historicalQuery;
 
       if (!histError && historicalData) {
         historicalData.forEach(pv => {
@@ -693,27 +1193,27 @@ async function calculatePeriodStats(pageViews, domain, periodStartTime) {
   }
 
   visitors.forEach(visitorId => {
-    if (historicalVisitors.has(visitorId)) {
+    if (!cookielessVisitors.has(visitorId) && historicalVisitors.has(visitorId)) {
       returningVisitors++;
     }
   });
 
   const totalVisitors = visitors.size;
-  const newVisitors = totalVisitors - returningVisitors;
-
-  // Calculate pages per visit
-  const pagesPerVisit = totalSessions > 0 ? 
-    parseFloat((pageViews.length / totalSessions).toFixed(1)) : 0;
+  const newVisitors = totalVisitors - returningVisitors - cookielessVisitors.size;
 
   return {
     totalVisitors,
     newVisitors,
     returningVisitors,
+    cookielessVisitors: cookielessVisitors.size,
     bounceRate: parseFloat(bounceRate.toFixed(1)),
     avgSessionDuration,
     pagesPerVisit,
-    totalPageViews: pageViews.length,
-    totalSessions
+    totalPageViews: pageviewRows.length,
+    totalSessions,
+    engagedSessions,
+    engagementRate: totalSessions > 0 ? parseFloat(((engagedSessions / totalSessions) * 100).toFixed(1)) : 0,
+    eventCounts
   };
 }
 
@@ -727,7 +1227,9 @@ function calculateTrends(currentStats, previousStats) {
       pagesPerVisit: 0,
       totalVisitors: 0,
       newVisitors: 0,
-      returningVisitors: 0
+      returningVisitors: 0,
+      engagedSessions: 0,
+      engagementRate: 0
     };
   }
 
@@ -745,46 +1247,33 @@ function calculateTrends(currentStats, previousStats) {
     pagesPerVisit: parseFloat(calculateChange(currentStats.pagesPerVisit, previousStats.pagesPerVisit).toFixed(1)),
     totalVisitors: parseFloat(calculateChange(currentStats.totalVisitors, previousStats.totalVisitors).toFixed(1)),
     newVisitors: parseFloat(calculateChange(currentStats.newVisitors, previousStats.newVisitors).toFixed(1)),
-    returningVisitors: parseFloat(calculateChange(currentStats.returningVisitors, previousStats.returningVisitors).toFixed(1))
+    returningVisitors: parseFloat(calculateChange(currentStats.returningVisitors, previousStats.returningVisitors).toFixed(1)),
+    engagedSessions: parseFloat(calculateChange(currentStats.engagedSessions, previousStats.engagedSessions).toFixed(1)),
+    engagementRate: parseFloat(calculateChange(currentStats.engagementRate, previousStats.engagementRate).toFixed(1))
   };
 }
 // --- EXIT PAGES CALCULATION ---
 // --- FIXED EXIT PAGES CALCULATION ---
-function calculateExitPages(pageViews) {
+function calculateExitPages(pageViews, options = {}) {
   if (!pageViews || !Array.isArray(pageViews) || pageViews.length === 0) {
     console.log('❌ calculateExitPages: No page views data available');
     return [];
   }
 
-  console.log('🔍 calculateExitPages: Processing', pageViews.length, 'page views');
-
-  // Filter out only REAL pages (not /page1, /page2, etc.)
-  const realPageViews = pageViews.filter(pv => 
-    pv && pv.path && pv.visitor_id && 
-    !pv.path.startsWith('/page') && // Exclude dummy pages
-    pv.path !== '' && pv.path !== '/' // Exclude empty and root for now
-  );
+  // Exits and time on page come from page view rows; the exit events, heartbeats
+  // and interactions on a page are already folded into its page view
+  pageViews = excludeBotTraffic(pageViews, options.includeBots).filter(isPageview);
 
-  console.log('✅ Real page views after filtering:', realPageViews.length);
-  console.log('📋 Real paths found:', [...new Set(realPageViews.map(pv => pv.path))]);
+  console.log('🔍 calculateExitPages: Processing', pageViews.length, 'page views');
 
-  if (realPageViews.length === 0) {
-    console.log('❌ No real page views to process');
-    
-    // If no real pages, use root and other main pages
-    const mainPages = pageViews.filter(pv => 
-      pv && pv.path && (pv.path === '/' || pv.path === '/home' || pv.path === '/about' || pv.path === '/contact')
-    );
-    
-    if (mainPages.length > 0) {
-      console.log('🔄 Using main pages instead:', [...new Set(mainPages.map(pv => pv.path))]);
-      return createExitPagesFromPageViews(mainPages);
-    }
-    
+  // Paths are normalized (and excluded paths dropped) per site at ingestion
+  const validPageViews = pageViews.filter(pv => pv && pv.path && pv.visitor_id);
+  if (validPageViews.length === 0) {
+    console.log('❌ No page views with a path to process');
     return [];
   }
 
-  return createExitPagesFromPageViews(realPageViews);
+  return createExitPagesFromPageViews(validPageViews);
 }
 
 // Helper function to create exit pages from page views
@@ -792,15 +1281,15 @@ function createExitPagesFromPageViews(pageViews) {
   const pageStats = {};
   const visitorSessions = {};
 
-  // Group page views by visitor and session
+  // Group page views by session, or by visitor for rows without one
   pageViews.forEach(pv => {
-    const visitorId = pv.visitor_id;
+    const sessionKey = pv.session_id || pv.visitor_id;
     const path = pv.path;
     const timestamp = new Date(pv.created_at).getTime();
 
-    // Initialize visitor sessions
-    if (!visitorSessions[visitorId]) {
-      visitorSessions[visitorId] = [];
+    // Initialize sessions
+    if (!visitorSessions[sessionKey]) {
+      visitorSessions[sessionKey] = [];
     }
 
     // Initialize page stats
@@ -809,25 +1298,29 @@ function createExitPagesFromPageViews(pageViews) {
         visits: 0,
         exits: 0,
         totalTime: 0,
+        timedVisits: 0,
         lastVisitTime: 0
       };
     }
 
     // Count visits and accumulate time
     pageStats[path].visits++;
-    pageStats[path].totalTime += pv.time_on_page || 0;
+    if (pv.time_on_page != null) {
+      pageStats[path].totalTime += pv.time_on_page;
+      pageStats[path].timedVisits++;
+    }
     pageStats[path].lastVisitTime = Math.max(pageStats[path].lastVisitTime, timestamp);
 
-    // Add to visitor sessions
-    visitorSessions[visitorId].push({
+    // Add to sessions
+    visitorSessions[sessionKey].push({
       path: path,
       timestamp: timestamp,
       timeOnPage: pv.time_on_page || 0
     });
   });
 
-  console.log('👥 Processed', Object.keys(visitorSessions).length, 'unique visitors');
-  console.log('📄 Unique real pages:', Object.keys(pageStats));
+  console.log('👥 Processed', Object.keys(visitorSessions).length, 'sessions');
+  console.log('📄 Unique pages:', Object.keys(pageStats));
 
   // Find exit pages (last page in each session)
   Object.values(visitorSessions).forEach(session => {
@@ -846,7 +1339,7 @@ function createExitPagesFromPageViews(pageViews) {
   const exitPages = Object.entries(pageStats)
     .map(([url, stats]) => {
       const exitRate = stats.visits > 0 ? (stats.exits / stats.visits) * 100 : 0;
-      const avgTimeOnPage = stats.visits > 0 ? Math.round(stats.totalTime / stats.visits) : 0;
+      const avgTimeOnPage = stats.timedVisits > 0 ? Math.round(stats.totalTime / stats.timedVisits) : 0;
 
       return {
         url: url,
@@ -874,6 +1367,276 @@ function createExitPagesFromPageViews(pageViews) {
 
   return exitPages;
 }
+
+// --- SCROLL DEPTH ---
+// Per-page distribution of the deepest scroll milestone reached in each page
+// view, next to the page's exit rate. Page views without a measured depth
+// (sent by older trackers) count towards the exit rate but not the distribution.
+function calculateScrollDepth(pageViews, options = {}) {
+  const views = excludeBotTraffic(pageViews || [], options.includeBots)
+    .filter(pv => pv && pv.path && pv.visitor_id && (pv.event_type || 'pageview') === 'pageview');
+
+  const depths = [0, ...SCROLL_MILESTONES];
+  const pages = {};
+  const lastViews = {};
+
+  views.forEach(pv => {
+    if (!pages[pv.path]) {
+      pages[pv.path] = {
+        visits: 0,
+        exits: 0,
+        measured: 0,
+        totalDepth: 0,
+        counts: Object.fromEntries(depths.map(depth => [depth, 0]))
+      };
+    }
+
+    const page = pages[pv.path];
+    page.visits++;
+
+    if (pv.scroll_depth != null && page.counts[pv.scroll_depth] !== undefined) {
+      page.measured++;
+      page.totalDepth += pv.scroll_depth;
+      page.counts[pv.scroll_depth]++;
+    }
+
+    // Same exit definition as calculateExitPages: each session's last page,
+    // or the visitor's for rows without a session
+    const sessionKey = pv.session_id || pv.visitor_id;
+    const timestamp = new Date(pv.created_at).getTime();
+    const last = lastViews[sessionKey];
+    if (!last || timestamp > last.timestamp) {
+      lastViews[sessionKey] = { path: pv.path, timestamp };
+    }
+  });
+
+  Object.values(lastViews).forEach(({ path }) => {
+    pages[path].exits++;
+  });
+
+  const percentOf = (count, total) => total > 0 ? parseFloat(((count / total) * 100).toFixed(1)) : 0;
+
+  return Object.entries(pages)
+    .map(([url, page]) => ({
+      url,
+      visits: page.visits,
+      exitRate: percentOf(page.exits, page.visits),
+      measuredVisits: page.measured,
+      avgMaxScrollDepth: page.measured > 0 ? Math.round(page.totalDepth / page.measured) : null,
+      distribution: depths.map(depth => ({
+        depth,
+        visits: page.counts[depth],
+        percentage: percentOf(page.counts[depth], page.measured)
+      })),
+      // Share of measured visits that got at least this far down the page
+      reached: Object.fromEntries(SCROLL_MILESTONES.map(milestone => [
+        milestone,
+        percentOf(depths.filter(depth => depth >= milestone).reduce((sum, depth) => sum + page.counts[depth], 0), page.measured)
+      ]))
+    }))
+    .sort((a, b) => b.visits - a.visits);
+}
+
+async function fetchScrollDepthViews(domain, range, path = null) {
+  let query = supabase
+    .from('page_views')
+    .select('path, visitor_id, session_id, event_type, scroll_depth, is_bot, created_at')
+    .eq('site_id', domain)
+    .eq('event_type', 'pageview')
+    .gte('created_at', getStartDate(range).toISOString());
+
+  if (path) {
+    query = query.eq('path', path);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+// --- PERFORMANCE ---
+// Real-user Core Web Vitals and navigation timing in milliseconds (CLS is
+// unitless), with the published good / poor thresholds for the 75th percentile
+const PERFORMANCE_METRICS = {
+  lcp: { label: 'LCP', good: 2500, poor: 4000 },
+  inp: { label: 'INP', good: 200, poor: 500 },
+  cls: { label: 'CLS', good: 0.1, poor: 0.25 },
+  fcp: { label: 'FCP', good: 1800, poor: 3000 },
+  ttfb: { label: 'TTFB', good: 800, poor: 1800 },
+  domContentLoaded: { label: 'DOM content loaded' },
+  loadTime: { label: 'Load time' }
+};
+
+// Anything slower is a backgrounded tab rather than a real measurement
+const MAX_TIMING_MS = 120000;
+
+function percentile(sortedValues, p) {
+  const index = Math.min(sortedValues.length - 1, Math.max(0, Math.ceil((p / 100) * sortedValues.length) - 1));
+  return sortedValues[index];
+}
+
+function summarizePerformanceMetrics(samples) {
+  return Object.fromEntries(Object.entries(PERFORMANCE_METRICS).map(([metric, { good, poor }]) => {
+    const max = metric === 'cls' ? 100 : MAX_TIMING_MS;
+    const values = samples
+      .map(sample => Number(sample.properties ? sample.properties[metric] : undefined))
+      .filter(value => Number.isFinite(value) && value >= 0 && value <= max)
+      .sort((a, b) => a - b);
+
+    if (values.length === 0) {
+      return [metric, null];
+    }
+
+    const p75 = percentile(values, 75);
+    let rating = null;
+    if (good !== undefined) {
+      rating = p75 <= good ? 'good' : p75 <= poor ? 'needs-improvement' : 'poor';
+    }
+
+    return [metric, {
+      samples: values.length,
+      p50: percentile(values, 50),
+      p75,
+      p95: percentile(values, 95),
+      rating
+    }];
+  }));
+}
+
+function calculatePerformance(samples, options = {}) {
+  samples = excludeBotTraffic(samples || [], options.includeBots);
+
+  const byDevice = {};
+  const byPage = {};
+  samples.forEach(sample => {
+    const device = sample.device_type || 'unknown';
+    (byDevice[device] = byDevice[device] || []).push(sample);
+    (byPage[sample.path] = byPage[sample.path] || []).push(sample);
+  });
+
+  return {
+    samples: samples.length,
+    overall: summarizePerformanceMetrics(samples),
+    byDevice: Object.fromEntries(Object.entries(byDevice).map(([device, deviceSamples]) => [
+      device,
+      { samples: deviceSamples.length, metrics: summarizePerformanceMetrics(deviceSamples) }
+    ])),
+    pages: Object.entries(byPage)
+      .sort((a, b) => b[1].length - a[1].length)
+      .slice(0, 20)
+      .map(([path, pageSamples]) => ({
+        path,
+        samples: pageSamples.length,
+        metrics: summarizePerformanceMetrics(pageSamples)
+      }))
+  };
+}
+
+async function fetchPerformanceSamples(domain, range, path = null) {
+  let query = supabase
+    .from('page_views')
+    .select('path, device_type, properties, is_bot')
+    .eq('site_id', domain)
+    .eq('event_type', 'performance')
+    .gte('created_at', getStartDate(range).toISOString());
+
+  if (path) {
+    query = query.eq('path', path);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+// Measured performance for AI prompts; null when there is nothing to report
+async function getMeasuredPerformance(domain, path = null) {
+  if (!supabase || !domain) return null;
+
+  try {
+    const performance = calculatePerformance(await fetchPerformanceSamples(domain, '30d', path));
+    return performance.samples > 0 ? performance : null;
+  } catch (error) {
+    console.error('Performance lookup error:', error.message);
+    return null;
+  }
+}
+
+function formatMetricValue(metric, value) {
+  if (metric === 'cls') return String(value);
+  return value >= 1000 ? `${(value / 1000).toFixed(2)}s` : `${Math.round(value)}ms`;
+}
+
+function describePerformance(performance) {
+  if (!performance) return 'not measured yet';
+
+  const lines = Object.entries(PERFORMANCE_METRICS)
+    .filter(([metric]) => performance.overall[metric])
+    .map(([metric, { label }]) => {
+      const stats = performance.overall[metric];
+      const rating = stats.rating ? `, ${stats.rating}` : '';
+      return `${label} p75 ${formatMetricValue(metric, stats.p75)} (p50 ${formatMetricValue(metric, stats.p50)}${rating})`;
+    });
+
+  return `${lines.join('; ')} from ${performance.samples} real-user page loads`;
+}
+
+// Median full page load in seconds, as reported in technicalInsights
+function measuredLoadTime(performance) {
+  const loadTime = performance && performance.overall.loadTime;
+  return loadTime ? parseFloat((loadTime.p50 / 1000).toFixed(2)) : null;
+}
+
+// --- JAVASCRIPT ERRORS ---
+async function fetchErrorRows(domain, range, path = null) {
+  let query = supabase
+    .from('page_views')
+    .select('error_fingerprint, visitor_id, pageview_id, path, properties, created_at')
+    .eq('site_id', domain)
+    .eq('event_type', 'error')
+    .gte('created_at', getStartDate(range).toISOString())
+    .not('is_bot', 'is', true);
+
+  if (path) {
+    query = query.eq('path', path);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+// Errors thrown on a page for the exit-page analysis; null when there are none
+async function getPageErrors(domain, path) {
+  if (!supabase || !domain || !path) return null;
+
+  try {
+    const groups = groupErrors(await fetchErrorRows(domain, '30d', path));
+    if (groups.length === 0) return null;
+
+    return {
+      occurrences: groups.reduce((sum, group) => sum + group.occurrences, 0),
+      affectedPageviews: groups.reduce((sum, group) => sum + group.affectedPageviews, 0),
+      groups: groups.slice(0, 3).map(({ fingerprint, message, source, line, occurrences, affectedVisitors, lastSeen }) => ({
+        fingerprint, message, source, line, occurrences, affectedVisitors, lastSeen
+      }))
+    };
+  } catch (error) {
+    console.error('Error groups lookup error:', error.message);
+    return null;
+  }
+}
+
+function describePageErrors(jsErrors) {
+  if (!jsErrors) return 'none reported';
+
+  const groups = jsErrors.groups
+    .map(group => `"${group.message}"${group.source ? ` in ${group.source}${group.line ? `:${group.line}` : ''}` : ''} (${group.occurrences}x, ${group.affectedVisitors} visitors)`)
+    .join('; ');
+
+  return `${jsErrors.occurrences} errors in ${jsErrors.affectedPageviews} page views. Most frequent: ${groups}`;
+}
+
 //temporary fix for traffic sources
 // Add this to your backend routes - TEMPORARY DEBUG ENDPOINT
 app.get('/api/debug-real-pages/:domain', apiLimiter, async (req, res) => {
@@ -923,39 +1686,76 @@ app.get('/api/debug-real-pages/:domain', apiLimiter, async (req, res) => {
   }
 });
 // --- TRAFFIC SOURCES CALCULATION ---
-function calculateTrafficSources(pageViews) {
+function calculateTrafficSources(pageViews, options = {}) {
   if (!pageViews || pageViews.length === 0) return [];
 
-  const sourceStats = {};
+  pageViews = excludeBotTraffic(pageViews, options.includeBots);
 
+  // A visitor bounced when they saw a single page and had no engagement event
+  const visitorActivity = {};
   pageViews.forEach(pv => {
-    const source = pv.utm_source || pv.referrer || 'direct';
-    if (!sourceStats[source]) {
-      sourceStats[source] = { visitors: new Set(), bounces: new Set(), conversions: 0 };
+    if (!visitorActivity[pv.visitor_id]) {
+      visitorActivity[pv.visitor_id] = { pageviews: 0, engaged: false };
     }
-    
-    sourceStats[source].visitors.add(pv.visitor_id);
-    
-    // Simplified bounce detection (single page visit)
-    const visitorPages = pageViews.filter(page => page.visitor_id === pv.visitor_id);
-    if (visitorPages.length === 1) {
-      sourceStats[source].bounces.add(pv.visitor_id);
+    if (isPageview(pv)) visitorActivity[pv.visitor_id].pageviews++;
+    if (isEngagementEvent(pv)) visitorActivity[pv.visitor_id].engaged = true;
+  });
+
+  // Sources are grouped by the name shown, so every Google referrer URL counts as Google
+  const sourceStats = {};
+  const sourceFor = name => {
+    if (!sourceStats[name]) {
+      sourceStats[name] = { visitors: new Set(), bounces: new Set(), orders: 0, revenue: 0 };
+    }
+    return sourceStats[name];
+  };
+
+  pageViews.filter(isPageview).forEach(pv => {
+    const stats = sourceFor(formatSource(pv.utm_source || clickIdSource(pv) || pv.referrer || 'direct'));
+    stats.visitors.add(pv.visitor_id);
+
+    const activity = visitorActivity[pv.visitor_id];
+    if (activity.pageviews === 1 && !activity.engaged) {
+      stats.bounces.add(pv.visitor_id);
     }
   });
 
+  // Revenue comes from stored orders, credited to the source of the session
+  // each order was placed in (see ecommerce.js)
+  const orders = options.orders || [];
+  const currency = reportingCurrency(orders);
+  orders.filter(order => order.currency === currency).forEach(order => {
+    const stats = sourceFor(formatSource(order.source || 'direct'));
+    stats.orders++;
+    stats.revenue += Number(order.value) || 0;
+  });
+
   return Object.entries(sourceStats).map(([source, stats]) => {
     const totalVisitors = stats.visitors.size;
     const bounceRate = totalVisitors > 0 ? (stats.bounces.size / totalVisitors) * 100 : 0;
-    
+    const revenue = Math.round(stats.revenue * 100) / 100;
+
     return {
-      source: source === 'direct' ? 'Direct' : formatSource(source),
+      source,
       visitors: totalVisitors,
       bounceRate: parseFloat(bounceRate.toFixed(1)),
-      conversionRate: 2.5, // Simplified for now
-      cost: getEstimatedCost(source),
-      revenue: getEstimatedRevenue(source, totalVisitors)
+      orders: stats.orders,
+      conversionRate: totalVisitors > 0 ? parseFloat(((stats.orders / totalVisitors) * 100).toFixed(1)) : 0,
+      revenue,
+      averageOrderValue: stats.orders > 0 ? Math.round((revenue / stats.orders) * 100) / 100 : 0,
+      currency,
+      // Ad spend isn't imported, so there is no cost to report
+      cost: null
     };
-  }).sort((a, b) => b.visitors - a.visitors);
+  }).sort((a, b) => b.visitors - a.visitors || b.revenue - a.revenue);
+}
+
+// Ad clicks without UTM tags are still attributable by their click ID
+function clickIdSource(pv) {
+  if (pv.gclid) return 'google';
+  if (pv.fbclid) return 'facebook';
+  if (pv.msclkid) return 'bing';
+  return null;
 }
 
 function formatSource(source) {
@@ -964,6 +1764,7 @@ function formatSource(source) {
   if (source.includes('instagram')) return 'Instagram';
   if (source.includes('twitter')) return 'Twitter';
   if (source.includes('linkedin')) return 'LinkedIn';
+  if (source.includes('bing')) return 'Bing';
   if (source === 'direct') return 'Direct';
   
   try {
@@ -978,38 +1779,73 @@ function formatSource(source) {
   return source;
 }
 
-function getEstimatedCost(source) {
-  const costs = {
-    'Google': 500,
-    'Facebook': 300,
-    'Instagram': 200,
-    'Twitter': 150,
-    'LinkedIn': 400,
-    'Direct': 0
-  };
-  return costs[source] || 100;
+// --- VISITOR BREAKDOWNS ---
+// Unique visitors grouped by a single page view dimension
+function calculateVisitorBreakdown(pageViews, getValue) {
+  const totalVisitors = new Set(pageViews.map(pv => pv.visitor_id)).size;
+  const groups = {};
+
+  pageViews.forEach(pv => {
+    const value = getValue(pv) || 'Unknown';
+    if (!groups[value]) {
+      groups[value] = new Set();
+    }
+    groups[value].add(pv.visitor_id);
+  });
+
+  return Object.entries(groups)
+    .map(([name, visitors]) => ({
+      name,
+      visitors: visitors.size,
+      percentage: totalVisitors > 0 ? parseFloat(((visitors.size / totalVisitors) * 100).toFixed(1)) : 0
+    }))
+    .sort((a, b) => b.visitors - a.visitors);
 }
 
-function getEstimatedRevenue(source, visitors) {
-  const conversionRates = {
-    'Google': 0.04,
-    'Facebook': 0.03,
-    'Instagram': 0.025,
-    'Twitter': 0.02,
-    'LinkedIn': 0.05,
-    'Direct': 0.06
+// Device class, browser and OS parsed from the user agent
+function calculateDeviceBreakdown(pageViews) {
+  if (!pageViews || pageViews.length === 0) {
+    return { devices: [], browsers: [], operatingSystems: [] };
+  }
+
+  return {
+    devices: calculateVisitorBreakdown(pageViews, pv => pv.device_type),
+    browsers: calculateVisitorBreakdown(pageViews, pv => pv.browser && pv.browser_version ? `${pv.browser} ${pv.browser_version}` : pv.browser),
+    operatingSystems: calculateVisitorBreakdown(pageViews, pv => pv.os)
   };
-  
-  const avgOrderValue = 89;
-  const conversionRate = conversionRates[source] || 0.02;
-  return Math.round(visitors * conversionRate * avgOrderValue);
 }
 
-// --- CONVERSION FUNNEL CALCULATION ---
-function calculateConversionFunnel(pageViews) {
-  if (!pageViews || pageViews.length === 0) return [];
+// Country (ISO code) and region resolved from the client IP at ingestion
+function calculateLocationBreakdown(pageViews) {
+  if (!pageViews || pageViews.length === 0) {
+    return { countries: [], regions: [] };
+  }
 
-  const stages = [
+  return {
+    countries: calculateVisitorBreakdown(pageViews, pv => pv.country),
+    regions: calculateVisitorBreakdown(pageViews.filter(pv => pv.region), pv => `${pv.region}, ${pv.country}`).slice(0, 20)
+  };
+}
+
+// Consent state recorded by the tracker: visitors who granted consent are
+// identified, visitors who haven't (or declined) are only counted anonymously
+function consentCategory(pv) {
+  if (pv.consent === 'granted') return 'consented';
+  if (pv.consent === 'pending' || pv.consent === 'denied') return 'anonymous';
+  if (pv.consent === 'not-required') return 'not required';
+  return 'not recorded';
+}
+
+function calculateConsentBreakdown(pageViews) {
+  if (!pageViews || pageViews.length === 0) return [];
+  return calculateVisitorBreakdown(pageViews, consentCategory);
+}
+
+// --- CONVERSION FUNNEL CALCULATION ---
+function calculateConversionFunnel(pageViews) {
+  if (!pageViews || pageViews.length === 0) return [];
+
+  const stages = [
     { stage: 'view-product', pattern: /product|item|shop|store/ },
     { stage: 'add-to-cart', pattern: /cart|basket|add/ },
     { stage: 'checkout', pattern: /checkout|payment|billing/ },
@@ -1056,7 +1892,7 @@ async function getTimeSeriesData(domain, range) {
   try {
     const { data } = await supabase
       .from('page_views')
-      .select('created_at, visitor_id')
+      .select('created_at, visitor_id, event_type')
       .eq('site_id', domain)
       .gte('created_at', getStartDate(range))
       .order('created_at', { ascending: true });
@@ -1068,10 +1904,11 @@ async function getTimeSeriesData(domain, range) {
   }
 }
 
+// Visitors and page views per interval, from page view rows only
 function groupDataByTime(data, range) {
   const groupedData = {};
   
-  data.forEach(item => {
+  data.filter(isPageview).forEach(item => {
     const date = new Date(item.created_at);
     let timeKey;
     
@@ -1105,6 +1942,25 @@ function groupDataByTime(data, range) {
   }));
 }
 
+// --- OWNERSHIP CHECK ---
+async function userOwnsWebsite(userId, domain) {
+  if (!supabase) return true;
+
+  try {
+    const { data: website, error } = await supabase
+      .from('websites')
+      .select('id')
+      .eq('userId', userId)
+      .eq('domain', domain)
+      .single();
+
+    return !error && !!website;
+  } catch (error) {
+    console.error('Ownership check error:', error);
+    return false;
+  }
+}
+
 // --- VALIDATION MIDDLEWARE ---
 const validateStatsRequest = (req, res, next) => {
   const { domain } = req.params;
@@ -1231,8 +2087,18 @@ const aiPromptCache = new NodeCache({ stdTTL: 600 });
 // --- ENDPOINTS ---
 
 // --- REAL TRACKING ENDPOINT ---
-app.post('/track', trackLimiter, async (req, res) => {
-  console.log('📨 Received tracking request:', req.body?.siteId, req.body?.path);
+const MAX_BATCH_EVENTS = parseInt(process.env.TRACK_MAX_BATCH_EVENTS) || 50;
+
+// Consent states reported by the tracker's insightAI.consent() API
+const CONSENT_STATES = ['granted', 'denied', 'pending', 'not-required'];
+
+// Validate a single tracking payload and map it to a page_views row.
+// `context` carries request-level data: the User-Agent header and the
+// location resolved from the client IP (the IP itself is never stored).
+function buildPageViewRow(event, context = {}) {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return { error: 'Event must be an object' };
+  }
 
   const {
     siteId,
@@ -1246,68 +2112,583 @@ app.post('/track', trackLimiter, async (req, res) => {
     eventType = 'pageview',
     timeOnPage,
     sessionId,
+    pageviewId,
+    scrollDepth,
     utmSource,
     utmMedium,
     utmCampaign,
+    utmTerm,
+    utmContent,
+    gclid,
+    fbclid,
+    msclkid,
+    userAgent,
+    consent,
+    eventId,
     timestamp = Date.now()
-  } = req.body;
-  
+  } = event;
+
   if (!siteId || !visitorId) {
-    return res.status(400).json({ error: 'Missing required tracking info' });
+    return { error: 'Missing required tracking info' };
+  }
+
+  const createdAt = new Date(timestamp);
+  if (isNaN(createdAt.getTime())) {
+    return { error: 'Invalid timestamp' };
+  }
+
+  const { properties: customProperties, error: propertiesError } = extractProperties(event);
+  if (propertiesError) {
+    return { error: propertiesError };
+  }
+
+  // E-commerce events keep a summary in their properties; purchases are
+  // returned as well for the orders table
+  let ecommerce = null;
+  if (ECOMMERCE_EVENT_TYPES.includes(eventType)) {
+    const { ecommerce: validated, errors } = validateEcommerce(eventType, event.ecommerce);
+    if (errors) {
+      return { error: `${errors[0].field}: ${errors[0].message}` };
+    }
+    ecommerce = validated;
+  }
+  const properties = ecommerce ? { ...(customProperties || {}), ...summarizeEcommerce(ecommerce) } : customProperties;
+
+  const agent = parseUserAgent(userAgent || context.userAgent);
+  const location = context.location || {};
+
+  return {
+    row: {
+      id: uuidv4(),
+      // The same key the site was verified by (see SiteVerifier.getSite), so
+      // rows group with the registered domain whatever casing the snippet used
+      site_id: String(siteId).trim().toLowerCase(),
+      visitor_id: visitorId,
+      path: path || '/',
+      referrer: referrer || 'direct',
+      screen_width: screenWidth,
+      screen_height: screenHeight,
+      language: language,
+      timezone: timezone,
+      event_type: eventType,
+      // Exit events with a page view ID have their time attributed to that page view
+      time_on_page: eventType === 'pageexit' && pageviewId ? null : timeOnPage,
+      session_id: sessionId,
+      pageview_id: pageviewId || null,
+      // Page views start at 0 and are raised by scroll milestones; null means not measured
+      scroll_depth: eventType === 'pageview' && [0, ...SCROLL_MILESTONES].includes(scrollDepth) ? scrollDepth : null,
+      utm_source: utmSource,
+      utm_medium: utmMedium,
+      utm_campaign: utmCampaign,
+      utm_term: utmTerm,
+      utm_content: utmContent,
+      gclid,
+      fbclid,
+      msclkid,
+      browser: agent.browser,
+      browser_version: agent.browserVersion,
+      os: agent.os,
+      device_type: agent.deviceType,
+      country: location.country || null,
+      region: location.region || null,
+      city: location.city || null,
+      properties,
+      error_fingerprint: eventType === 'error' ? fingerprintError(properties) : null,
+      cookieless: false,
+      consent: CONSENT_STATES.includes(consent) ? consent : null,
+      event_id: normalizeEventId(eventId),
+      created_at: createdAt.toISOString()
+    },
+    order: eventType === 'purchase' ? ecommerce : null
+  };
+}
+
+// Bulk write used by the ingestion queue; throws so failed batches are retried
+async function writePageViews(rows) {
+  if (!supabase) {
+    console.log('📝 Tracked', rows.length, 'event(s) (no DB):', rows.map(row => ({
+      siteId: row.site_id,
+      path: row.path,
+      eventType: row.event_type
+    })));
+    return;
+  }
+
+  // Retried events that were already stored are skipped by their event ID
+  let { error } = await supabase
+    .from('page_views')
+    .upsert(rows, { onConflict: 'site_id,event_id', ignoreDuplicates: true });
+
+  // 42P10: the unique index on event_id hasn't been created yet
+  if (error && error.code === '42P10') {
+    ({ error } = await supabase.from('page_views').insert(rows));
+  }
+
+  if (error) {
+    throw new Error(error.message || 'Database insert error');
+  }
+
+  console.log('✅ Tracked', rows.length, 'event(s) in DB');
+  // Emit real-time updates, one per page view
+  rows.forEach(row => {
+    emitStatsUpdate(row.site_id, { event: 'new_pageview', path: row.path });
+  });
+}
+
+const ingestQueue = new IngestQueue(writePageViews);
+ingestQueue.init(cacheManager).catch(error => {
+  console.error('❌ Ingest queue initialization failed:', error.message);
+});
+
+const siteVerifier = new SiteVerifier(supabase);
+
+const engagementUpdater = new EngagementUpdater(supabase);
+engagementUpdater.start();
+
+const sessionTracker = new SessionTracker(supabase);
+sessionTracker.start();
+
+const visitorHasher = new VisitorHasher();
+visitorHasher.init(cacheManager).catch(error => {
+  console.error('❌ Visitor hash salt initialization failed:', error.message);
+});
+
+const apiKeyStore = new ApiKeyStore(supabase);
+
+const eventDeduper = new EventDeduper();
+eventDeduper.init(cacheManager).catch(error => {
+  console.error('❌ Event dedupe initialization failed:', error.message);
+});
+
+const orderStore = new OrderStore(supabase);
+orderStore.start();
+
+const domainLinker = new DomainLinker(supabase);
+
+const SITE_REJECTION_MESSAGES = {
+  'unregistered-site': 'Site is not registered',
+  'invalid-tracking-code': 'Invalid tracking code',
+  'missing-tracking-code': 'Missing tracking code',
+  'missing-origin': 'Missing Origin or Referer header',
+  'origin-mismatch': 'Origin does not match the registered site'
+};
+
+// Accepts a single event, an array of events or { events: [...] }
+function extractTrackingEvents(body) {
+  if (Array.isArray(body)) return body;
+  if (body && Array.isArray(body.events)) return body.events;
+  return null;
+}
+
+// Cookieless sites (or trackers running in cookieless mode) never store a
+// visitor ID on the client, so one is derived here; sites that respect
+// Do-Not-Track / Global Privacy Control drop events from browsers sending either.
+// Internal traffic is matched against the site's excluded IP ranges here too,
+// the last point at which the client IP is used. The site's settings are
+// returned for the rest of ingestion.
+async function applyPrivacySettings(event, req) {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return { event };
+  }
+
+  const settings = await siteVerifier.getSettings(event.siteId);
+
+  if (isIpExcluded(req.ip, settings.excludedIps)) {
+    return { excluded: 'internal-ip' };
+  }
+
+  if (settings.respectDnt && (req.get('dnt') === '1' || req.get('sec-gpc') === '1')) {
+    return { optedOut: true };
+  }
+
+  // Without consent the visitor can only be counted anonymously, whatever the client sent
+  const withoutConsent = event.consent === 'pending' || event.consent === 'denied';
+
+  if (settings.privacyMode === 'cookieless' || event.cookieless === true || withoutConsent) {
+    const visitorId = await visitorHasher.visitorId(event.siteId, req.ip, req.get('user-agent'));
+    return { event: { ...event, visitorId }, cookieless: true, settings };
+  }
+
+  return { event, settings };
+}
+
+async function handleTrackRequest(req, res) {
+  const batch = extractTrackingEvents(req.body);
+  const events = batch || [req.body];
+
+  if (events.length === 0) {
+    return res.status(400).json({ error: 'No events provided' });
+  }
+
+  if (events.length > MAX_BATCH_EVENTS) {
+    return res.status(413).json({ error: `Too many events in batch (max ${MAX_BATCH_EVENTS})` });
+  }
+
+  const rows = [];
+  const sessionEvents = [];
+  const orders = [];
+  const rejected = [];
+  const context = {
+    userAgent: req.get('user-agent'),
+    location: lookupLocation(req.ip),
+    // The bot rate check counts requests per visitor, not events
+    countedVisitors: new Set()
+  };
+  const claims = [];
+  let botEvents = 0;
+  let optedOutEvents = 0;
+  let excludedEvents = 0;
+  let duplicates = 0;
+  let attributed = 0;
+
+  const headers = { origin: req.get('origin'), referer: req.get('referer') };
+
+  for (const [index, rawEvent] of events.entries()) {
+    let privacy;
+    try {
+      privacy = await applyPrivacySettings(rawEvent, req);
+    } catch (privacyError) {
+      // No shared salt for cookieless visitor IDs (see visitor-hash.js); the
+      // client retries the whole request later
+      console.error('❌ Privacy settings error:', privacyError.message);
+      await eventDeduper.release(claims);
+      res.setHeader('Retry-After', '30');
+      return res.status(503).json({ error: 'Tracking temporarily unavailable' });
+    }
+
+    const { event, cookieless, optedOut, excluded, settings } = privacy;
+    if (optedOut) {
+      optedOutEvents++;
+      continue;
+    }
+    if (excluded) {
+      excludedEvents++;
+      siteVerifier.exclude(excluded, rawEvent.siteId);
+      continue;
+    }
+
+    const { row, order, error } = buildPageViewRow(event, context);
+    if (error) {
+      rejected.push({ index, error });
+      continue;
+    }
+
+    let siteRejection = null;
+    try {
+      siteRejection = await siteVerifier.verify(event, headers);
+    } catch (verifyError) {
+      console.error('Site verification error:', verifyError);
+    }
+
+    if (siteRejection) {
+      rejected.push({ index, error: SITE_REJECTION_MESSAGES[siteRejection], status: 403 });
+      continue;
+    }
+
+    // Paths are normalized before anything else sees them, so sessions and
+    // every report group by the same path
+    const normalizedPath = normalizePath(row.path, event.search, settings.pathRules);
+    if (normalizedPath === null) {
+      excludedEvents++;
+      siteVerifier.exclude('excluded-path', row.site_id);
+      continue;
+    }
+    row.path = normalizedPath;
+
+    // A retry of an event that already arrived
+    if (!(await eventDeduper.claim(row.site_id, row.event_id))) {
+      duplicates++;
+      continue;
+    }
+    claims.push({ siteId: row.site_id, eventId: row.event_id });
+
+    const bot = detectBot(event, context);
+    if (bot.isBot) {
+      botEvents++;
+      if (BOT_FILTER_MODE === 'reject') continue;
+    }
+
+    row.is_bot = bot.isBot;
+    row.cookieless = cookieless === true;
+
+    try {
+      row.session_id = await sessionTracker.resolve(row);
+      sessionEvents.push(row);
+    } catch (sessionError) {
+      console.error('Session resolution error:', sessionError);
+    }
+
+    if (order && !bot.isBot) {
+      orders.push({ row, order });
+    }
+
+    // Heartbeats and exits report engaged time and scroll milestones report depth
+    // for the originating page view; heartbeats and milestones are not stored as
+    // rows of their own
+    if ((row.event_type === 'heartbeat' || row.event_type === 'pageexit') && row.pageview_id) {
+      engagementUpdater.record(row.site_id, row.pageview_id, Number(event.timeOnPage));
+    }
+    if (row.event_type === 'scroll') {
+      engagementUpdater.recordScrollDepth(row.site_id, row.pageview_id, Number(event.scrollDepth));
+    }
+    if (row.event_type === 'heartbeat' || row.event_type === 'scroll') {
+      attributed++;
+      continue;
+    }
+
+    rows.push(row);
+  }
+
+  console.log('📨 Received tracking request:', rows.length, 'valid event(s),', rejected.length, 'rejected,', botEvents, 'from bots,', optedOutEvents, 'opted out,', excludedEvents, 'excluded by site rules,', duplicates, 'duplicate');
+
+  if (rows.length === 0) {
+    sessionEvents.forEach(row => sessionTracker.record(row));
+
+    if (rejected.length === 0) {
+      // Only heartbeats and milestones, retries, or bot, opted-out and excluded traffic; don't tell the client it was filtered
+      return batch ? res.status(200).json({ accepted: attributed, duplicates, rejected }) : res.status(204).send();
+    }
+    if (batch) {
+      return res.status(400).json({ accepted: 0, rejected });
+    }
+    return res.status(rejected[0].status || 400).json({ error: rejected[0].error });
   }
 
+  let accepted = 0;
   try {
-    if (supabase) {
-      const userId = req.headers['x-user-id'] || req.query.userId || null;
-      if (userId) {
-        try {
-          await supabase
-            .from('websites')
-            .upsert({ userId: userId, domain: siteId }, { onConflict: ['userId', 'domain'] });
-        } catch (err) {
-          console.error('Error upserting website:', err);
-        }
-      }
+    accepted = await ingestQueue.enqueue(rows);
+  } catch (error) {
+    console.error('Unexpected tracking error:', error);
+  }
 
-      const { data, error } = await supabase
-        .from('page_views')
-        .insert([
-          {
-            id: uuidv4(),
-            site_id: siteId,
-            visitor_id: visitorId,
-            path: path || '/',
-            referrer: referrer || 'direct',
-            screen_width: screenWidth,
-            screen_height: screenHeight,
-            language: language,
-            timezone: timezone,
-            event_type: eventType,
-            time_on_page: timeOnPage,
-            session_id: sessionId,
-            utm_source: utmSource,
-            utm_medium: utmMedium,
-            utm_campaign: utmCampaign,
-            created_at: new Date(timestamp).toISOString()
-          }
-        ])
-        .select();
+  if (accepted === 0) {
+    // The client will retry these, so they mustn't be treated as duplicates
+    await eventDeduper.release(claims);
+    res.setHeader('Retry-After', '30');
+    return res.status(503).json({ error: 'Tracking temporarily unavailable' });
+  }
+
+  // Only once accepted, so a retried request doesn't count page views twice
+  sessionEvents.forEach(row => sessionTracker.record(row));
+  orders.forEach(({ row, order }) => {
+    orderStore.record(row, order, sessionTracker.getAttribution(row.site_id, row.session_id));
+  });
+
+  if (batch) {
+    return res.status(200).json({ accepted: accepted + attributed, duplicates, rejected });
+  }
+  res.status(204).send();
+}
+
+app.post('/track', trackLimiter, handleTrackRequest);
+app.post('/track/batch', trackLimiter, handleTrackRequest);
+
+// --- CROSS-DOMAIN LINKER ENDPOINTS ---
+// Used by trackers with data-cross-domain="true" (see linker.js). Cookieless
+// sites have no visitor ID to carry, so they are never linked.
+app.post('/track/linker', trackLimiter, async (req, res) => {
+  try {
+    const { siteId, visitorId, sessionId } = req.body || {};
+
+    if (!siteId || typeof visitorId !== 'string' || visitorId.length === 0 || visitorId.length > 64) {
+      return res.status(400).json({ error: 'Missing required tracking info' });
+    }
+
+    const siteRejection = await siteVerifier.verify(req.body, { origin: req.get('origin'), referer: req.get('referer') });
+    if (siteRejection) {
+      return res.status(403).json({ error: SITE_REJECTION_MESSAGES[siteRejection] });
+    }
+
+    const settings = await siteVerifier.getSettings(siteId);
+    const domains = settings.privacyMode === 'cookieless' ? [] : await domainLinker.getLinkedDomains(siteId);
+    if (domains.length === 0) {
+      return res.json({ domains });
+    }
+
+    res.json({ domains, ...domainLinker.issue(siteId, visitorId, typeof sessionId === 'string' ? sessionId : null) });
+  } catch (error) {
+    console.error('Linker token error:', error);
+    res.status(500).json({ error: 'Could not issue linker token' });
+  }
+});
+
+app.post('/track/linker/adopt', trackLimiter, async (req, res) => {
+  try {
+    const { siteId, token } = req.body || {};
+
+    if (!siteId || !token) {
+      return res.status(400).json({ error: 'siteId and token are required' });
+    }
+
+    const siteRejection = await siteVerifier.verify(req.body, { origin: req.get('origin'), referer: req.get('referer') });
+    if (siteRejection) {
+      return res.status(403).json({ error: SITE_REJECTION_MESSAGES[siteRejection] });
+    }
+
+    if ((await siteVerifier.getSettings(siteId)).privacyMode === 'cookieless') {
+      return res.status(409).json({ error: 'Cookieless sites do not adopt linked visitors' });
+    }
+
+    const { visitorId, sessionId, error, status } = await domainLinker.verify(token, siteId);
+    if (error) {
+      return res.status(status || 400).json({ error });
+    }
+
+    res.json({ visitorId, sessionId });
+  } catch (error) {
+    console.error('Linker adopt error:', error);
+    res.status(500).json({ error: 'Could not verify linker token' });
+  }
+});
+
+// --- SERVER-SIDE EVENTS ENDPOINT ---
+// For events that only happen on a website's own servers, e.g. payment
+// confirmations. Authenticated with a secret API key for the website:
+//   Authorization: Bearer ia_sk_...
+// An Idempotency-Key header (or idempotencyKey per event) makes retries safe.
+//
+// Failed authentications are limited per IP before any key is looked up, so
+// guessing keys can't run up database lookups
+const serverEventsAuthLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000,
+  max: 30,
+  keyGenerator: (req) => ipKeyGenerator(req.ip),
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 401,
+  message: { error: 'Too many failed authentication attempts' }
+});
+
+// Limited per authenticated key, so one site's backfill doesn't slow down another's
+const serverEventsLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000,
+  max: 600,
+  keyGenerator: (req) => `api-key:${req.apiKey.id}`,
+  message: { error: 'Too many requests' }
+});
+
+function readApiKey(req) {
+  const authorization = req.get('authorization') || '';
+  if (authorization.toLowerCase().startsWith('bearer ')) {
+    return authorization.substring(7).trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+async function authenticateApiKey(req, res, next) {
+  try {
+    const apiKey = readApiKey(req);
+    if (!apiKey) {
+      return res.status(401).json({ error: 'Missing API key: send it as "Authorization: Bearer <key>"' });
+    }
+
+    const { key, error, status } = await apiKeyStore.authenticate(apiKey);
+    if (error) {
+      return res.status(status || 401).json({ error });
+    }
+
+    req.apiKey = key;
+    next();
+  } catch (error) {
+    console.error('API key authentication error:', error);
+    res.status(503).json({ error: 'Could not verify API key' });
+  }
+}
 
+app.post('/api/events', serverEventsAuthLimiter, authenticateApiKey, serverEventsLimiter, async (req, res) => {
+  try {
+    const key = req.apiKey;
+
+    const batch = extractTrackingEvents(req.body);
+    const events = batch || [req.body];
+
+    if (events.length === 0) {
+      return res.status(400).json({ error: 'No events provided' });
+    }
+    if (events.length > MAX_BATCH_EVENTS) {
+      return res.status(413).json({ error: `Too many events in batch (max ${MAX_BATCH_EVENTS})` });
+    }
+
+    const requestKey = req.get('idempotency-key');
+    if (requestKey !== undefined && (requestKey.length === 0 || requestKey.length > 200)) {
+      return res.status(400).json({ error: 'Idempotency-Key header must be 1-200 characters' });
+    }
+
+    // Nothing is stored unless every event in the request is valid
+    const rows = [];
+    const details = [];
+    const { pathRules } = await siteVerifier.getSettings(key.site_id);
+
+    events.forEach((rawEvent, index) => {
+      const defaults = requestKey ? { idempotencyKey: `${requestKey}:${index}` } : {};
+      const { event, errors } = validateServerEvent(rawEvent, defaults);
+
+      if (errors) {
+        errors.forEach(error => details.push({ index, ...error }));
+        return;
+      }
+
+      const { userId, ...trackingEvent } = event;
+      const { row, order, error } = buildPageViewRow({ ...trackingEvent, siteId: key.site_id });
       if (error) {
-        console.error('Database insert error:', error);
-      } else {
-        console.log('✅ Tracked event in DB:', { siteId, visitorId, path: path || '/', eventType });
-        // Emit real-time update
-        emitStatsUpdate(siteId, { event: 'new_pageview', path: path || '/' });
+        details.push({ index, field: 'properties', message: error });
+        return;
       }
-    } else {
-      console.log('📝 Tracked event (no DB):', { siteId, visitorId, path: path || '/', eventType });
+
+      row.user_id = userId;
+      row.path = normalizePath(row.path, null, pathRules);
+      rows.push({ index, row, order });
+    });
+
+    if (details.length > 0) {
+      return res.status(422).json({ error: 'Validation failed', details });
     }
-    
-    res.status(204).send();
+
+    const results = [];
+    const accepted = [];
+    const acceptedOrders = [];
+    const claims = [];
+
+    let excluded = 0;
+
+    for (const { index, row, order } of rows) {
+      if (row.path === null) {
+        excluded++;
+        siteVerifier.exclude('excluded-path', row.site_id);
+        results.push({ index, eventId: row.event_id || row.id, status: 'excluded' });
+        continue;
+      }
+
+      if (!(await eventDeduper.claim(row.site_id, row.event_id))) {
+        results.push({ index, eventId: row.event_id, status: 'duplicate' });
+        continue;
+      }
+
+      claims.push({ siteId: row.site_id, eventId: row.event_id });
+      accepted.push(row);
+      if (order) acceptedOrders.push({ row, order });
+      results.push({ index, eventId: row.event_id || row.id, status: 'accepted' });
+    }
+
+    if (accepted.length > 0 && await ingestQueue.enqueue(accepted) === 0) {
+      await eventDeduper.release(claims);
+      res.setHeader('Retry-After', '30');
+      return res.status(503).json({ error: 'Ingestion temporarily unavailable' });
+    }
+
+    // Credited to the visitor's session when the order is written
+    acceptedOrders.forEach(({ row, order }) => orderStore.record(row, order));
+
+    const duplicates = rows.length - accepted.length - excluded;
+    console.log('📨 Server events for', key.site_id, 'via key', key.key_prefix, ':', accepted.length, 'accepted,', duplicates, 'duplicate,', excluded, 'on excluded paths');
+    res.status(202).json({
+      accepted: accepted.length,
+      duplicates,
+      excluded,
+      events: results
+    });
   } catch (error) {
-    console.error('Unexpected tracking error:', error);
-    res.status(204).send();
+    console.error('Server events error:', error);
+    res.status(500).json({ error: 'Could not record events' });
   }
 });
 
@@ -1317,8 +2698,9 @@ app.get('/api/stats/:domain', validateStatsRequest, apiLimiter, async (req, res)
   const { domain } = req.params;
   const userId = req.headers['x-user-id'] || req.query.userId;
   const timeRange = req.query.range || '24h';
+  const includeBots = req.query.includeBots === 'true';
 
-  console.log('🔍 DEBUG: Starting stats calculation for:', { domain, userId, timeRange });
+  console.log('🔍 DEBUG: Starting stats calculation for:', { domain, userId, timeRange, includeBots });
 
   if (!userId) {
     const emptyStats = getEmptyStats();
@@ -1354,7 +2736,7 @@ app.get('/api/stats/:domain', validateStatsRequest, apiLimiter, async (req, res)
     console.log('⚠️ DEBUG: Supabase not configured, skipping ownership check');
   }
 
-  const cacheKey = `stats:${domain}:${timeRange}`;
+  const cacheKey = `stats:${domain}:${timeRange}:${includeBots ? 'bots' : 'humans'}`;
   const cachedStats = statsCache.get(cacheKey);
 
   if (cachedStats && (Date.now() - new Date(cachedStats.lastUpdated).getTime()) < 30000) {
@@ -1412,7 +2794,7 @@ app.get('/api/stats/:domain', validateStatsRequest, apiLimiter, async (req, res)
     // Calculate all statistics with detailed debugging
     console.log('🧮 DEBUG: Starting statistics calculation...');
     
-    const stats = await calculateRealStats(pageViews, timeRange, domain);
+    const stats = await calculateRealStats(pageViews, timeRange, domain, { includeBots });
     console.log('📊 DEBUG: Basic stats calculated:', {
       totalVisitors: stats.totalVisitors,
       totalPageViews: stats.totalPageViews,
@@ -1421,25 +2803,39 @@ app.get('/api/stats/:domain', validateStatsRequest, apiLimiter, async (req, res)
     });
 
     console.log('🚨 DEBUG: Calculating exit pages...');
-    const exitPages = calculateExitPages(pageViews);
+    const exitPages = calculateExitPages(pageViews, { includeBots });
     console.log('📋 DEBUG: Exit pages calculation complete:', {
       exitPagesCount: exitPages.length,
       exitPagesDetails: exitPages.map(ep => `${ep.url} (${ep.exitRate}% exit rate, ${ep.visits} visits)`)
     });
 
     console.log('🌐 DEBUG: Calculating traffic sources...');
-    const trafficSources = calculateTrafficSources(pageViews);
-    console.log('📈 DEBUG: Traffic sources calculated:', trafficSources.length, 'sources');
+    const orders = await fetchOrders(domain, getStartDate(timeRange));
+    const trafficSources = calculateTrafficSources(pageViews, { includeBots, orders });
+    console.log('📈 DEBUG: Traffic sources calculated:', trafficSources.length, 'sources,', orders.length, 'orders');
+
+    // Funnel and visitor breakdowns are based on page views alone
+    const pageviewRows = excludeBotTraffic(pageViews, includeBots).filter(isPageview);
 
     console.log('🔄 DEBUG: Calculating conversion funnel...');
-    const conversionFunnel = calculateConversionFunnel(pageViews);
+    const conversionFunnel = calculateConversionFunnel(pageviewRows);
     console.log('📊 DEBUG: Conversion funnel calculated');
 
+    console.log('📱 DEBUG: Calculating device breakdown...');
+    const deviceBreakdown = calculateDeviceBreakdown(pageviewRows);
+    const locationBreakdown = calculateLocationBreakdown(pageviewRows);
+    const consentBreakdown = calculateConsentBreakdown(pageviewRows);
+
     const fullStats = {
       ...stats,
       exitPages,
       trafficSources,
-      conversionFunnel
+      conversionFunnel,
+      deviceBreakdown,
+      locationBreakdown,
+      consentBreakdown,
+      botPageViews: pageViews.filter(pv => pv.is_bot && isPageview(pv)).length,
+      includeBots
     };
 
     console.log('🎯 DEBUG: Final stats summary for', domain, ':', {
@@ -1448,6 +2844,7 @@ app.get('/api/stats/:domain', validateStatsRequest, apiLimiter, async (req, res)
       totalVisitors: stats.totalVisitors,
       totalPageViews: stats.totalPageViews,
       bounceRate: stats.bounceRate,
+      engagedSessions: stats.engagedSessions,
       realData: stats.realData,
       exitPagesCount: exitPages.length,
       trafficSourcesCount: trafficSources.length,
@@ -1476,23 +2873,119 @@ app.get('/api/stats/:domain', validateStatsRequest, apiLimiter, async (req, res)
     res.json(emptyStats);
   }
 });
-//Test Exit Pages Calculation
-app.get('/api/test-exit-pages/:domain', apiLimiter, async (req, res) => {
-  const { domain } = req.params;
-  
+
+// --- LINK GROUP STATS ENDPOINT ---
+// An owner's linked domains reported as one property. Visitors and sessions
+// carried across by the linker are counted once; paths are prefixed with their
+// domain so the same path on two domains stays apart.
+app.get('/api/link-groups/:group/stats', apiLimiter, async (req, res) => {
+  const { group } = req.params;
+  const userId = req.headers['x-user-id'] || req.query.userId;
+  const timeRange = req.query.range || '24h';
+  const includeBots = req.query.includeBots === 'true';
+
+  if (!userId) {
+    return res.status(400).json({ error: 'User ID is required' });
+  }
+
+  if (!supabase) {
+    return res.status(503).json({ error: 'Database not configured' });
+  }
+
   try {
-    const { data: pageViews, error } = await supabase
+    const { data: websites, error: websitesError } = await supabase
+      .from('websites')
+      .select('domain')
+      .eq('userId', userId)
+      .eq('link_group', group);
+
+    if (websitesError) {
+      console.error('Link group lookup error:', websitesError);
+      return res.status(500).json({ error: 'Could not fetch link group' });
+    }
+
+    if (!websites || websites.length === 0) {
+      return res.status(404).json({ error: 'Link group not found' });
+    }
+
+    const domains = [...new Set(websites.map(website => website.domain))];
+    const cacheKey = `group-stats:${userId}:${group}:${timeRange}:${includeBots ? 'bots' : 'humans'}`;
+    const cachedStats = statsCache.get(cacheKey);
+    if (cachedStats) {
+      return res.json(cachedStats);
+    }
+
+    const { data, error } = await supabase
       .from('page_views')
       .select('*')
-      .eq('site_id', domain)
-      .gte('created_at', getStartDate('7d').toISOString())
+      .in('site_id', domains)
+      .gte('created_at', getStartDate(timeRange).toISOString())
       .order('created_at', { ascending: true });
 
     if (error) {
-      return res.status(500).json({ error: error.message });
+      console.error('Link group page views error:', error.message);
+      return res.status(500).json({ error: 'Could not fetch link group stats' });
     }
 
-    const exitPages = calculateExitPages(pageViews || []);
+    const pageViews = (data || []).map(pv => ({ ...pv, path: `${pv.site_id}${pv.path}` }));
+    const stats = await calculateRealStats(pageViews, timeRange, domains, { includeBots });
+    const orders = await fetchOrders(domains, getStartDate(timeRange));
+    const pageviewRows = excludeBotTraffic(pageViews, includeBots).filter(isPageview);
+
+    // Visitors seen on more than one domain show the linker is working
+    const visitorDomains = {};
+    const domainStats = {};
+    pageviewRows.forEach(pv => {
+      (visitorDomains[pv.visitor_id] = visitorDomains[pv.visitor_id] || new Set()).add(pv.site_id);
+      if (!domainStats[pv.site_id]) {
+        domainStats[pv.site_id] = { visitors: new Set(), pageViews: 0 };
+      }
+      domainStats[pv.site_id].visitors.add(pv.visitor_id);
+      domainStats[pv.site_id].pageViews++;
+    });
+
+    const groupStats = {
+      group,
+      domains,
+      ...stats,
+      crossDomainVisitors: Object.values(visitorDomains).filter(sites => sites.size > 1).length,
+      domainBreakdown: domains.map(domain => ({
+        domain,
+        visitors: domainStats[domain] ? domainStats[domain].visitors.size : 0,
+        pageViews: domainStats[domain] ? domainStats[domain].pageViews : 0
+      })),
+      exitPages: calculateExitPages(pageViews, { includeBots }),
+      trafficSources: calculateTrafficSources(pageViews, { includeBots, orders }),
+      deviceBreakdown: calculateDeviceBreakdown(pageviewRows),
+      locationBreakdown: calculateLocationBreakdown(pageviewRows),
+      includeBots
+    };
+
+    statsCache.set(cacheKey, groupStats, 30);
+    res.json(groupStats);
+  } catch (error) {
+    console.error('Link group stats error:', error);
+    res.status(500).json({ error: 'Could not fetch link group stats' });
+  }
+});
+
+//Test Exit Pages Calculation
+app.get('/api/test-exit-pages/:domain', apiLimiter, async (req, res) => {
+  const { domain } = req.params;
+  
+  try {
+    const { data: pageViews, error } = await supabase
+      .from('page_views')
+      .select('*')
+      .eq('site_id', domain)
+      .gte('created_at', getStartDate('7d').toISOString())
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      return res.status(500).json({ error: error.message });
+    }
+
+    const exitPages = calculateExitPages(pageViews || []);
     
     res.json({
       domain,
@@ -1562,7 +3055,7 @@ app.get('/api/chart-data/:domain', apiLimiter, async (req, res) => {
     // Query the database for page views in the time range
     const { data, error } = await supabase
       .from('page_views')
-      .select('created_at, visitor_id, path')
+      .select('created_at, visitor_id, path, event_type')
       .eq('site_id', domain)
       .gte('created_at', startDate.toISOString())
       .order('created_at', { ascending: true });
@@ -1779,6 +3272,333 @@ app.get('/api/recent-visitors/:domain', apiLimiter, async (req, res) => {
   }
 });
 
+// How far visitors scroll on each page, from the deepest point of each visit
+app.get('/api/scroll-depth/:domain', validateStatsRequest, apiLimiter, async (req, res) => {
+  const { domain } = req.params;
+  const { range = '7d', path } = req.query;
+  const userId = req.headers['x-user-id'] || req.query.userId;
+
+  if (!userId) {
+    return res.status(400).json({ error: 'User ID is required' });
+  }
+
+  if (!(await userOwnsWebsite(userId, domain))) {
+    return res.status(403).json({ error: 'Access denied: You do not own this website' });
+  }
+
+  if (!supabase) {
+    return res.json({ domain, range, milestones: SCROLL_MILESTONES, pages: [] });
+  }
+
+  try {
+    const pageViews = await fetchScrollDepthViews(domain, range, path || null);
+
+    res.json({
+      domain,
+      range,
+      milestones: SCROLL_MILESTONES,
+      pages: calculateScrollDepth(pageViews).slice(0, 50)
+    });
+  } catch (error) {
+    console.error('Scroll depth query error:', error);
+    res.status(500).json({ error: 'Could not fetch scroll depth' });
+  }
+});
+
+// Top outbound destinations and file downloads captured by data-auto-outbound
+// and data-auto-downloads
+app.get('/api/outbound/:domain', validateStatsRequest, apiLimiter, async (req, res) => {
+  const { domain } = req.params;
+  const { range = '7d' } = req.query;
+  const userId = req.headers['x-user-id'] || req.query.userId;
+
+  if (!userId) {
+    return res.status(400).json({ error: 'User ID is required' });
+  }
+
+  if (!(await userOwnsWebsite(userId, domain))) {
+    return res.status(403).json({ error: 'Access denied: You do not own this website' });
+  }
+
+  if (!supabase) {
+    return res.json({ domain, range, destinations: [], links: [], downloads: [] });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('page_views')
+      .select('event_type, visitor_id, path, properties')
+      .eq('site_id', domain)
+      .in('event_type', ['outbound', 'download'])
+      .gte('created_at', getStartDate(range).toISOString())
+      .not('is_bot', 'is', true);
+
+    if (error) {
+      console.error('Outbound clicks query error:', error);
+      return res.status(500).json({ error: 'Could not fetch outbound clicks' });
+    }
+
+    const groups = { destinations: {}, links: {}, downloads: {} };
+    const add = (group, key, row) => {
+      if (!groups[group][key]) {
+        groups[group][key] = { clicks: 0, visitors: new Set(), pages: {} };
+      }
+      groups[group][key].clicks++;
+      groups[group][key].visitors.add(row.visitor_id);
+      groups[group][key].pages[row.path] = (groups[group][key].pages[row.path] || 0) + 1;
+    };
+
+    (data || []).forEach(row => {
+      const url = row.properties && row.properties.url;
+      if (!url) return;
+
+      if (row.event_type === 'download') {
+        add('downloads', url, row);
+        return;
+      }
+
+      add('links', url, row);
+      try {
+        add('destinations', new URL(url).hostname.replace(/^www\./, ''), row);
+      } catch (e) {
+        // Malformed URLs still count as links, just not towards a destination
+      }
+    });
+
+    const toList = (group, keyName) => Object.entries(groups[group])
+      .map(([key, stats]) => ({
+        [keyName]: key,
+        clicks: stats.clicks,
+        visitors: stats.visitors.size,
+        topPages: Object.entries(stats.pages)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 5)
+          .map(([path, clicks]) => ({ path, clicks }))
+      }))
+      .sort((a, b) => b.clicks - a.clicks)
+      .slice(0, 50);
+
+    res.json({
+      domain,
+      range,
+      destinations: toList('destinations', 'hostname'),
+      links: toList('links', 'url'),
+      downloads: toList('downloads', 'url')
+    });
+  } catch (error) {
+    console.error('Outbound clicks error:', error);
+    res.status(500).json({ error: 'Could not fetch outbound clicks' });
+  }
+});
+
+app.get('/api/performance/:domain', validateStatsRequest, apiLimiter, async (req, res) => {
+  const { domain } = req.params;
+  const { range = '7d', path } = req.query;
+  const userId = req.headers['x-user-id'] || req.query.userId;
+
+  if (!userId) {
+    return res.status(400).json({ error: 'User ID is required' });
+  }
+
+  if (!(await userOwnsWebsite(userId, domain))) {
+    return res.status(403).json({ error: 'Access denied: You do not own this website' });
+  }
+
+  if (!supabase) {
+    return res.json({ domain, range, ...calculatePerformance([]) });
+  }
+
+  try {
+    const samples = await fetchPerformanceSamples(domain, range, path || null);
+    res.json({ domain, range, ...calculatePerformance(samples) });
+  } catch (error) {
+    console.error('Performance query error:', error);
+    res.status(500).json({ error: 'Could not fetch performance metrics' });
+  }
+});
+
+// Front-end errors grouped by fingerprint
+app.get('/api/errors/:domain', validateStatsRequest, apiLimiter, async (req, res) => {
+  const { domain } = req.params;
+  const { range = '7d', path } = req.query;
+  const userId = req.headers['x-user-id'] || req.query.userId;
+
+  if (!userId) {
+    return res.status(400).json({ error: 'User ID is required' });
+  }
+
+  if (!(await userOwnsWebsite(userId, domain))) {
+    return res.status(403).json({ error: 'Access denied: You do not own this website' });
+  }
+
+  if (!supabase) {
+    return res.json({ domain, range, occurrences: 0, groups: [] });
+  }
+
+  try {
+    const rows = await fetchErrorRows(domain, range, path || null);
+
+    res.json({
+      domain,
+      range,
+      occurrences: rows.length,
+      groups: groupErrors(rows).slice(0, 100)
+    });
+  } catch (error) {
+    console.error('Error groups query error:', error);
+    res.status(500).json({ error: 'Could not fetch error groups' });
+  }
+});
+
+// Revenue, orders, average order value and conversion rate by source,
+// campaign and landing page, from stored orders and sessions
+app.get('/api/ecommerce/:domain', validateStatsRequest, apiLimiter, async (req, res) => {
+  const { domain } = req.params;
+  const { range = '30d' } = req.query;
+  const userId = req.headers['x-user-id'] || req.query.userId;
+
+  if (!userId) {
+    return res.status(400).json({ error: 'User ID is required' });
+  }
+
+  if (!(await userOwnsWebsite(userId, domain))) {
+    return res.status(403).json({ error: 'Access denied: You do not own this website' });
+  }
+
+  if (!supabase) {
+    return res.json({ domain, range, ...summarizeOrders([], []) });
+  }
+
+  try {
+    const startDate = getStartDate(range);
+    const { data: sessions, error } = await supabase
+      .from('sessions')
+      .select('source, utm_campaign, entry_page')
+      .eq('site_id', domain)
+      .gte('started_at', startDate.toISOString())
+      .gt('pageviews', 0)
+      .not('is_bot', 'is', true);
+
+    if (error) {
+      console.error('E-commerce sessions query error:', error);
+      return res.status(500).json({ error: 'Could not fetch e-commerce stats' });
+    }
+
+    const orders = await fetchOrders(domain, startDate);
+    res.json({ domain, range, ...summarizeOrders(orders, sessions || []) });
+  } catch (error) {
+    console.error('E-commerce stats error:', error);
+    res.status(500).json({ error: 'Could not fetch e-commerce stats' });
+  }
+});
+
+// --- EVENTS EXPLORER ENDPOINT ---
+// Without `event`: custom event names with counts. With `event`: the property
+// keys seen on it, or a breakdown by the values of `property` when given.
+app.get('/api/events/:domain', validateStatsRequest, apiLimiter, async (req, res) => {
+  const { domain } = req.params;
+  const { range = '7d', event, property } = req.query;
+  const userId = req.headers['x-user-id'] || req.query.userId;
+
+  if (!userId) {
+    return res.status(400).json({ error: 'User ID is required' });
+  }
+
+  if (!(await userOwnsWebsite(userId, domain))) {
+    return res.status(403).json({ error: 'Access denied: You do not own this website' });
+  }
+
+  if (!supabase) {
+    return res.json({ domain, range, events: [] });
+  }
+
+  try {
+    let query = supabase
+      .from('page_views')
+      .select('event_type, visitor_id, properties')
+      .eq('site_id', domain)
+      .gte('created_at', getStartDate(range).toISOString())
+      .not('is_bot', 'is', true);
+
+    query = event
+      ? query.eq('event_type', event)
+      : query.not('event_type', 'in', `(${BUILT_IN_EVENT_TYPES.join(',')})`);
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error('Events explorer query error:', error);
+      return res.status(500).json({ error: 'Could not fetch events' });
+    }
+
+    const rows = data || [];
+
+    if (!event) {
+      const events = {};
+      rows.forEach(row => {
+        if (!events[row.event_type]) {
+          events[row.event_type] = { count: 0, visitors: new Set() };
+        }
+        events[row.event_type].count++;
+        events[row.event_type].visitors.add(row.visitor_id);
+      });
+
+      return res.json({
+        domain,
+        range,
+        events: Object.entries(events)
+          .map(([name, stats]) => ({ name, count: stats.count, visitors: stats.visitors.size }))
+          .sort((a, b) => b.count - a.count)
+      });
+    }
+
+    if (!property) {
+      const keys = {};
+      rows.forEach(row => {
+        Object.keys(row.properties || {}).forEach(key => {
+          keys[key] = (keys[key] || 0) + 1;
+        });
+      });
+
+      return res.json({
+        domain,
+        range,
+        event,
+        count: rows.length,
+        properties: Object.entries(keys)
+          .map(([key, count]) => ({ key, count }))
+          .sort((a, b) => b.count - a.count)
+      });
+    }
+
+    const values = {};
+    rows.forEach(row => {
+      const raw = row.properties ? row.properties[property] : undefined;
+      const value = raw === undefined || raw === null ? '(not set)' : String(raw);
+      if (!values[value]) {
+        values[value] = { count: 0, visitors: new Set() };
+      }
+      values[value].count++;
+      values[value].visitors.add(row.visitor_id);
+    });
+
+    res.json({
+      domain,
+      range,
+      event,
+      property,
+      count: rows.length,
+      values: Object.entries(values)
+        .map(([value, stats]) => ({ value, count: stats.count, visitors: stats.visitors.size }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 100)
+    });
+  } catch (error) {
+    console.error('Events explorer error:', error);
+    res.status(500).json({ error: 'Could not fetch events' });
+  }
+});
+
 app.post('/api/ai/traffic-source-analysis', apiLimiter, async (req, res) => {
   try {
     const { source, domain, timeRange } = req.body;
@@ -1917,6 +3737,7 @@ app.post('/api/improvements', apiLimiter, async (req, res) => {
     }
 
     const websiteContent = await fetchWebsiteContent(domain);
+    const performance = await getMeasuredPerformance(domain);
 
     if (!websiteContent) {
       console.log('Could not fetch website content, using fallback for:', domain);
@@ -1943,11 +3764,14 @@ Traffic Data:
 - Average Session Duration: ${trafficData.avgSessionDuration} seconds
 - Pages per Visit: ${trafficData.pagesPerVisit}
 
+Measured Performance (real users, last 30 days):
+${describePerformance(performance)}
+
 Website HTML Content (first 50,000 characters):
 ${websiteContent}
 
 Based on the HTML structure, content, and traffic metrics, provide 5-7 specific, actionable suggestions to improve the website's performance, user experience, and conversion rates. Focus on:
-- Technical improvements (speed, mobile responsiveness)
+- Technical improvements (speed, mobile responsiveness), based on the measured performance above rather than assumptions
 - Content and design enhancements
 - User engagement strategies
 - SEO and accessibility improvements
@@ -1974,206 +3798,749 @@ Return only the suggestions as a JSON array of strings, no additional text or fo
         .slice(0, 7);
     }
 
-    if (suggestions.length === 0) {
-      suggestions = [
-        "Optimize images for faster loading",
-        "Improve mobile responsiveness",
-        "Simplify navigation structure",
-        "Add clear call-to-action buttons",
-        "Implement schema markup for SEO"
-      ];
-    }
+    if (suggestions.length === 0) {
+      suggestions = [
+        "Optimize images for faster loading",
+        "Improve mobile responsiveness",
+        "Simplify navigation structure",
+        "Add clear call-to-action buttons",
+        "Implement schema markup for SEO"
+      ];
+    }
+
+    const resultData = { improvements: suggestions };
+    aiPromptCache.set(cacheKey, resultData, 600);
+
+    console.log('Generated AI improvements for:', domain, suggestions.length, 'suggestions');
+    res.json(resultData);
+
+  } catch (error) {
+    console.error('Improvements generation error:', error);
+    const fallback = {
+      improvements: [
+        "Optimize images for faster loading",
+        "Simplify navigation menus",
+        "Enhance mobile responsiveness",
+        "Improve page loading speed",
+        "Add engaging content sections"
+      ]
+    };
+    res.json(fallback);
+  }
+});
+//---AI ANALYSIS OF EXIT PAGES ENDPOINT---
+// Add this AI endpoint to your backend routes
+app.post('/api/ai/exit-page-analysis', apiLimiter, async (req, res) => {
+  let jsErrors = null;
+
+  try {
+    const { pageData, domain, metrics } = req.body;
+    const userId = req.headers['x-user-id'];
+
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID is required' });
+    }
+
+    // The prompt includes the site's scroll, performance and error data
+    if (domain && !(await userOwnsWebsite(userId, domain))) {
+      return res.status(403).json({ error: 'Access denied: You do not own this website' });
+    }
+
+    console.log('🤖 AI Analysis request for:', { domain, url: pageData.url });
+
+    // How far visitors scroll before leaving separates "didn't find it" from "read it and left"
+    let scrollSummary = 'not measured yet';
+    if (supabase && domain) {
+      try {
+        const [scroll] = calculateScrollDepth(await fetchScrollDepthViews(domain, '30d', pageData.url));
+        if (scroll && scroll.measuredVisits > 0) {
+          scrollSummary = `${scroll.reached[25]}% of visits scrolled past 25%, ${scroll.reached[50]}% past half way, ${scroll.reached[100]}% reached the bottom (average max depth ${scroll.avgMaxScrollDepth}%, ${scroll.measuredVisits} measured visits)`;
+        }
+      } catch (scrollError) {
+        console.error('Scroll depth lookup error:', scrollError.message);
+      }
+    }
+
+    const performance = await getMeasuredPerformance(domain, pageData.url);
+    jsErrors = await getPageErrors(domain, pageData.url);
+
+    const model = ai.getGenerativeModel({ model: 'gemini-1.5-flash' });
+    
+    const prompt = `
+As a professional web analytics expert, analyze this exit page data and provide comprehensive recommendations:
+
+DOMAIN: ${domain}
+PAGE URL: ${pageData.url}
+METRICS:
+- Exit Rate: ${metrics.exitRate}%
+- Average Time on Page: ${metrics.avgTimeOnPage} seconds
+- Total Visits: ${metrics.visits}
+- Scroll Depth (last 30 days): ${scrollSummary}
+- Measured Performance (last 30 days): ${describePerformance(performance)}
+- JavaScript Errors (last 30 days): ${describePageErrors(jsErrors)}
+
+ANALYSIS CONTEXT:
+- Page is among top exit pages needing optimization
+- Focus on practical, actionable improvements
+- Consider technical, content, and UX aspects
+- Use scroll depth to tell whether visitors leave before seeing the main content or after reading it
+- Only report performance issues supported by the measured performance numbers
+- If JavaScript errors are reported, treat them as a likely cause of exits and put fixing them first
+- Prioritize by impact and effort
+
+Provide analysis in this exact JSON structure:
+{
+  "severity": "high|medium|low",
+  "insights": ["key insight 1", "key insight 2"],
+  "suggestions": ["actionable suggestion 1", "suggestion 2"],
+  "performanceIssues": ["performance issue 1", "issue 2"],
+  "securityConcerns": ["security concern if any", "concern 2"],
+  "seoRecommendations": ["SEO recommendation 1", "rec 2"],
+  "userExperience": ["UX improvement 1", "improvement 2"],
+  "conversionOpportunities": ["conversion opportunity 1", "opportunity 2"],
+  "technicalRecommendations": ["technical recommendation 1", "rec 2"],
+  "contentImprovements": ["content improvement 1", "improvement 2"]
+}
+
+Focus on practical, implementable advice that will actually reduce exit rates and improve user engagement.
+Be specific to the page type (checkout, login, product, blog, homepage, etc.) and provide concrete examples.
+`;
+
+    const result = await model.generateContent(prompt);
+    const response = await result.response;
+    const text = response.text();
+    
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      const analysis = JSON.parse(jsonMatch[0]);
+      console.log('✅ AI Analysis generated successfully');
+      return res.json({ ...analysis, jsErrors });
+    }
+    
+    throw new Error('Invalid AI response format');
+  } catch (error) {
+    console.error('❌ AI exit page analysis error:', error);
+    // Return fallback analysis instead of error
+    const fallbackAnalysis = {
+      severity: req.body.metrics.exitRate > 70 ? 'high' : req.body.metrics.exitRate > 40 ? 'medium' : 'low',
+      insights: [
+        `Page has ${req.body.metrics.exitRate}% exit rate with ${req.body.metrics.avgTimeOnPage}s average time`,
+        'Focus on improving user engagement and page relevance'
+      ],
+      suggestions: [
+        'Improve page loading speed and performance',
+        'Add clear call-to-action buttons',
+        'Enhance content quality and relevance'
+      ],
+      performanceIssues: [],
+      securityConcerns: [],
+      seoRecommendations: ['Optimize meta tags and page titles'],
+      userExperience: ['Improve mobile responsiveness'],
+      conversionOpportunities: ['Add exit-intent offers'],
+      technicalRecommendations: ['Audit Core Web Vitals'],
+      contentImprovements: ['Enhance content readability'],
+      jsErrors
+    };
+
+    // Errors on a high-exit page are the first thing to fix
+    if (jsErrors) {
+      fallbackAnalysis.severity = req.body.metrics.exitRate > 40 ? 'high' : 'medium';
+      fallbackAnalysis.insights.unshift(`Visitors hit ${jsErrors.occurrences} JavaScript errors on this page in the last 30 days`);
+      fallbackAnalysis.technicalRecommendations.unshift(`Fix "${jsErrors.groups[0].message}" before other optimizations`);
+    }
+
+    res.json(fallbackAnalysis);
+  }
+});
+// --- WEBSITES REGISTRATION ENDPOINT ---
+app.post('/api/websites', apiLimiter, async (req, res) => {
+  try {
+    const userId = req.headers['x-user-id'] || req.query.userId;
+
+    if (!req.body.domain || typeof req.body.domain !== 'string') {
+      return res.status(400).json({ error: 'Domain is required' });
+    }
+
+    // Stored lower case: tracking looks sites up by exact domain
+    const domain = req.body.domain.trim().toLowerCase();
+
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID is required' });
+    }
+
+    const domainRegex = /^[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+    if (!domainRegex.test(domain)) {
+      return res.status(400).json({ error: 'Invalid domain format' });
+    }
+
+    if (supabase) {
+      const { data, error } = await supabase
+        .from('websites')
+        .insert([{ userId: userId, domain }])
+        .select();
+
+      if (error) {
+        if (error.code === '23505') {
+          return res.status(409).json({ error: 'Domain already registered for this user' });
+        }
+        console.error('Database insert error:', error);
+        return res.status(500).json({ error: 'Could not register website' });
+      }
+
+      siteVerifier.invalidate(domain);
+      console.log('✅ Website registered:', domain, 'for user:', userId);
+      res.status(201).json({
+        id: data[0].id,
+        userId: data[0].userId,
+        domain: data[0].domain,
+        created_at: data[0].created_at
+      });
+    } else {
+      res.status(201).json({
+        id: uuidv4(),
+        userId: userId,
+        domain,
+        created_at: new Date().toISOString()
+      });
+    }
+  } catch (error) {
+    console.error('Website registration error:', error);
+    res.status(500).json({ error: 'Could not register website' });
+  }
+});
+
+// --- GET WEBSITES FOR USER ENDPOINT ---
+app.get('/api/websites/:userId', apiLimiter, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID is required' });
+    }
+
+    if (supabase) {
+      const { data, error } = await supabase
+        .from('websites')
+        .select('*')
+        .eq('userId', userId)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('Database query error:', error);
+        return res.status(500).json({ error: 'Could not fetch websites' });
+      }
+
+      console.log('✅ Websites fetched for user:', userId, 'count:', data.length);
+      res.json(data);
+    } else {
+      res.json([]);
+    }
+  } catch (error) {
+    console.error('Get websites error:', error);
+    res.status(500).json({ error: 'Could not fetch websites' });
+  }
+});
+
+// --- WEBSITE ALIASES ENDPOINT ---
+// Extra hostnames allowed to send events for a site, e.g. shop.example.com or *.example.com
+app.put('/api/websites/:id/aliases', apiLimiter, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { aliases } = req.body;
+    const userId = req.headers['x-user-id'] || req.query.userId;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID is required' });
+    }
+
+    if (!Array.isArray(aliases) || aliases.length > 20) {
+      return res.status(400).json({ error: 'aliases must be an array of up to 20 hostnames' });
+    }
+
+    const invalidAlias = aliases.find(alias => typeof alias !== 'string' || !isValidDomain(alias.replace(/^\*\./, '')));
+    if (invalidAlias !== undefined) {
+      return res.status(400).json({ error: `Invalid alias: ${invalidAlias}` });
+    }
+
+    if (!supabase) {
+      return res.status(503).json({ error: 'Database not configured' });
+    }
+
+    const { data, error } = await supabase
+      .from('websites')
+      .update({ aliases: aliases.map(alias => alias.toLowerCase()) })
+      .eq('id', id)
+      .eq('userId', userId)
+      .select();
+
+    if (error) {
+      console.error('Database update error:', error);
+      return res.status(500).json({ error: 'Could not update aliases' });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Website not found' });
+    }
+
+    siteVerifier.invalidate(data[0].domain);
+    domainLinker.invalidate();
+    console.log('✅ Aliases updated for:', data[0].domain, data[0].aliases);
+    res.json(data[0]);
+  } catch (error) {
+    console.error('Update aliases error:', error);
+    res.status(500).json({ error: 'Could not update aliases' });
+  }
+});
+
+// --- WEBSITE LINK GROUP ENDPOINT ---
+// Websites of one owner in the same link group share visitors through the
+// cross-domain linker and can be reported on together. null leaves the group.
+// Other server processes cache link groups, so they can take up to five
+// minutes to start or stop decorating links.
+const LINK_GROUP_PATTERN = /^[A-Za-z0-9 _.-]{1,64}$/;
+
+app.put('/api/websites/:id/link-group', apiLimiter, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { group } = req.body;
+    const userId = req.headers['x-user-id'] || req.query.userId;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID is required' });
+    }
+
+    if (group !== null && (typeof group !== 'string' || !LINK_GROUP_PATTERN.test(group))) {
+      return res.status(400).json({ error: 'group must be null or 1-64 letters, digits, spaces or _ . -' });
+    }
+
+    if (!supabase) {
+      return res.status(503).json({ error: 'Database not configured' });
+    }
+
+    const { data, error } = await supabase
+      .from('websites')
+      .update({ link_group: group })
+      .eq('id', id)
+      .eq('userId', userId)
+      .select();
+
+    if (error) {
+      console.error('Database update error:', error);
+      return res.status(500).json({ error: 'Could not update link group' });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Website not found' });
+    }
+
+    domainLinker.invalidate();
+    console.log('✅ Link group updated for:', data[0].domain, group);
+
+    res.json({
+      ...data[0],
+      linkedDomains: await domainLinker.getLinkedDomains(data[0].domain),
+      // Every website in the group needs the attribute to decorate its links
+      scriptAttributes: group ? { 'data-cross-domain': 'true' } : {}
+    });
+  } catch (error) {
+    console.error('Update link group error:', error);
+    res.status(500).json({ error: 'Could not update link group' });
+  }
+});
+
+// --- WEBSITE EXCLUDED IPS ENDPOINT ---
+// Internal traffic by CIDR range, e.g. ["203.0.113.0/24", "2001:db8::/32"].
+// Excluded events are counted in the tracking diagnostics but never stored.
+app.put('/api/websites/:id/excluded-ips', apiLimiter, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.headers['x-user-id'] || req.query.userId;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID is required' });
+    }
+
+    const { ranges, error: rangeError } = validateIpRanges(req.body.ranges);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+
+    if (!supabase) {
+      return res.status(503).json({ error: 'Database not configured' });
+    }
+
+    const { data, error } = await supabase
+      .from('websites')
+      .update({ excluded_ips: ranges })
+      .eq('id', id)
+      .eq('userId', userId)
+      .select();
+
+    if (error) {
+      console.error('Database update error:', error);
+      return res.status(500).json({ error: 'Could not update excluded IPs' });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Website not found' });
+    }
+
+    siteVerifier.invalidate(data[0].domain);
+    console.log('✅ Excluded IPs updated for:', data[0].domain, ranges.length, 'range(s)');
+
+    // Lets owners check that the network they are on is covered
+    res.json({ ...data[0], currentIpExcluded: isIpExcluded(req.ip, ranges) });
+  } catch (error) {
+    console.error('Update excluded IPs error:', error);
+    res.status(500).json({ error: 'Could not update excluded IPs' });
+  }
+});
+
+// --- WEBSITE PRIVACY ENDPOINT ---
+// privacyMode 'cookieless' derives visitor IDs on the server instead of storing
+// them in the browser; respectDnt drops events from browsers sending DNT or GPC
+const PRIVACY_MODES = ['standard', 'cookieless'];
+
+app.put('/api/websites/:id/privacy', apiLimiter, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { privacyMode, respectDnt } = req.body;
+    const userId = req.headers['x-user-id'] || req.query.userId;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID is required' });
+    }
+
+    const updates = {};
+    if (privacyMode !== undefined) {
+      if (!PRIVACY_MODES.includes(privacyMode)) {
+        return res.status(400).json({ error: `privacyMode must be one of: ${PRIVACY_MODES.join(', ')}` });
+      }
+      updates.privacy_mode = privacyMode;
+    }
+    if (respectDnt !== undefined) {
+      if (typeof respectDnt !== 'boolean') {
+        return res.status(400).json({ error: 'respectDnt must be a boolean' });
+      }
+      updates.respect_dnt = respectDnt;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update: provide privacyMode and/or respectDnt' });
+    }
+
+    if (!supabase) {
+      return res.status(503).json({ error: 'Database not configured' });
+    }
+
+    const { data, error } = await supabase
+      .from('websites')
+      .update(updates)
+      .eq('id', id)
+      .eq('userId', userId)
+      .select();
+
+    if (error) {
+      console.error('Database update error:', error);
+      return res.status(500).json({ error: 'Could not update privacy settings' });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Website not found' });
+    }
+
+    siteVerifier.invalidate(data[0].domain);
+    console.log('✅ Privacy settings updated for:', data[0].domain, updates);
+
+    // The server enforces these settings either way; the script attributes
+    // also keep the tracker from touching browser storage or sending at all
+    res.json({
+      ...data[0],
+      scriptAttributes: {
+        ...(data[0].privacy_mode === 'cookieless' ? { 'data-cookieless': 'true' } : {}),
+        ...(data[0].respect_dnt ? { 'data-respect-dnt': 'true' } : {})
+      }
+    });
+  } catch (error) {
+    console.error('Update privacy settings error:', error);
+    res.status(500).json({ error: 'Could not update privacy settings' });
+  }
+});
+
+// --- WEBSITE API KEYS ENDPOINTS ---
+// Secret keys for the server-side events API. The plain key is only returned
+// when it is created or rotated.
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_ROTATION_GRACE_HOURS = 7 * 24;
+
+async function findOwnedWebsite(id, userId) {
+  if (!UUID_PATTERN.test(id)) return null;
+
+  const { data, error } = await supabase
+    .from('websites')
+    .select('id, userId, domain, path_rules, path_rules_job')
+    .eq('id', id)
+    .eq('userId', userId)
+    .limit(1);
+
+  if (error) throw new Error(error.message);
+  return data && data.length > 0 ? data[0] : null;
+}
+
+// Resolves the website for /api/websites/:id/... routes or responds with the error
+async function resolveOwnedWebsite(req, res) {
+  const userId = req.headers['x-user-id'] || req.query.userId;
+
+  if (!userId) {
+    res.status(400).json({ error: 'User ID is required' });
+    return null;
+  }
+  if (!supabase) {
+    res.status(503).json({ error: 'Database not configured' });
+    return null;
+  }
 
-    const resultData = { improvements: suggestions };
-    aiPromptCache.set(cacheKey, resultData, 600);
+  const website = await findOwnedWebsite(req.params.id, userId);
+  if (!website) {
+    res.status(404).json({ error: 'Website not found' });
+    return null;
+  }
+  return website;
+}
 
-    console.log('Generated AI improvements for:', domain, suggestions.length, 'suggestions');
-    res.json(resultData);
+app.get('/api/websites/:id/api-keys', apiLimiter, async (req, res) => {
+  try {
+    const website = await resolveOwnedWebsite(req, res);
+    if (!website) return;
 
+    res.json({ domain: website.domain, keys: await apiKeyStore.list(website.id) });
   } catch (error) {
-    console.error('Improvements generation error:', error);
-    const fallback = {
-      improvements: [
-        "Optimize images for faster loading",
-        "Simplify navigation menus",
-        "Enhance mobile responsiveness",
-        "Improve page loading speed",
-        "Add engaging content sections"
-      ]
-    };
-    res.json(fallback);
+    console.error('List API keys error:', error);
+    res.status(500).json({ error: 'Could not fetch API keys' });
   }
 });
-//---AI ANALYSIS OF EXIT PAGES ENDPOINT---
-// Add this AI endpoint to your backend routes
-app.post('/api/ai/exit-page-analysis', apiLimiter, async (req, res) => {
-  try {
-    const { pageData, domain, metrics } = req.body;
-    const userId = req.headers['x-user-id'];
 
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
+app.post('/api/websites/:id/api-keys', apiLimiter, async (req, res) => {
+  try {
+    const { name } = req.body || {};
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0 || name.length > 100)) {
+      return res.status(400).json({ error: 'name must be a string of 1-100 characters' });
     }
 
-    console.log('🤖 AI Analysis request for:', { domain, url: pageData.url });
-    
-    const model = ai.getGenerativeModel({ model: 'gemini-1.5-flash' });
-    
-    const prompt = `
-As a professional web analytics expert, analyze this exit page data and provide comprehensive recommendations:
+    const website = await resolveOwnedWebsite(req, res);
+    if (!website) return;
 
-DOMAIN: ${domain}
-PAGE URL: ${pageData.url}
-METRICS:
-- Exit Rate: ${metrics.exitRate}%
-- Average Time on Page: ${metrics.avgTimeOnPage} seconds
-- Total Visits: ${metrics.visits}
+    const { key, apiKey, error } = await apiKeyStore.create(website, name ? name.trim() : 'Default');
+    if (error) {
+      return res.status(409).json({ error });
+    }
 
-ANALYSIS CONTEXT:
-- Page is among top exit pages needing optimization
-- Focus on practical, actionable improvements
-- Consider technical, content, and UX aspects
-- Prioritize by impact and effort
+    console.log('✅ API key created for:', website.domain, apiKey.prefix);
+    res.status(201).json({ ...apiKey, key });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Could not create API key' });
+  }
+});
 
-Provide analysis in this exact JSON structure:
-{
-  "severity": "high|medium|low",
-  "insights": ["key insight 1", "key insight 2"],
-  "suggestions": ["actionable suggestion 1", "suggestion 2"],
-  "performanceIssues": ["performance issue 1", "issue 2"],
-  "securityConcerns": ["security concern if any", "concern 2"],
-  "seoRecommendations": ["SEO recommendation 1", "rec 2"],
-  "userExperience": ["UX improvement 1", "improvement 2"],
-  "conversionOpportunities": ["conversion opportunity 1", "opportunity 2"],
-  "technicalRecommendations": ["technical recommendation 1", "rec 2"],
-  "contentImprovements": ["content improvement 1", "improvement 2"]
-}
+// graceHours keeps the old key working while deployments switch over
+app.post('/api/websites/:id/api-keys/:keyId/rotate', apiLimiter, async (req, res) => {
+  try {
+    const { graceHours = 0 } = req.body || {};
+    if (typeof graceHours !== 'number' || graceHours < 0 || graceHours > MAX_ROTATION_GRACE_HOURS) {
+      return res.status(400).json({ error: `graceHours must be a number from 0 to ${MAX_ROTATION_GRACE_HOURS}` });
+    }
 
-Focus on practical, implementable advice that will actually reduce exit rates and improve user engagement.
-Be specific to the page type (checkout, login, product, blog, homepage, etc.) and provide concrete examples.
-`;
+    const website = await resolveOwnedWebsite(req, res);
+    if (!website) return;
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-    
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const analysis = JSON.parse(jsonMatch[0]);
-      console.log('✅ AI Analysis generated successfully');
-      return res.json(analysis);
+    if (!UUID_PATTERN.test(req.params.keyId)) {
+      return res.status(404).json({ error: 'API key not found' });
     }
-    
-    throw new Error('Invalid AI response format');
+
+    const { key, apiKey, previous, error, status } = await apiKeyStore.rotate(website, req.params.keyId, Math.round(graceHours * 3600));
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    console.log('✅ API key rotated for:', website.domain, previous.prefix, '->', apiKey.prefix);
+    res.status(201).json({ ...apiKey, key, previous });
   } catch (error) {
-    console.error('❌ AI exit page analysis error:', error);
-    // Return fallback analysis instead of error
-    const fallbackAnalysis = {
-      severity: req.body.metrics.exitRate > 70 ? 'high' : req.body.metrics.exitRate > 40 ? 'medium' : 'low',
-      insights: [
-        `Page has ${req.body.metrics.exitRate}% exit rate with ${req.body.metrics.avgTimeOnPage}s average time`,
-        'Focus on improving user engagement and page relevance'
-      ],
-      suggestions: [
-        'Improve page loading speed and performance',
-        'Add clear call-to-action buttons',
-        'Enhance content quality and relevance'
-      ],
-      performanceIssues: [],
-      securityConcerns: [],
-      seoRecommendations: ['Optimize meta tags and page titles'],
-      userExperience: ['Improve mobile responsiveness'],
-      conversionOpportunities: ['Add exit-intent offers'],
-      technicalRecommendations: ['Audit Core Web Vitals'],
-      contentImprovements: ['Enhance content readability']
-    };
-    res.json(fallbackAnalysis);
+    console.error('Rotate API key error:', error);
+    res.status(500).json({ error: 'Could not rotate API key' });
   }
 });
-// --- WEBSITES REGISTRATION ENDPOINT ---
-app.post('/api/websites', apiLimiter, async (req, res) => {
+
+app.delete('/api/websites/:id/api-keys/:keyId', apiLimiter, async (req, res) => {
   try {
-    const { domain } = req.body;
-    const userId = req.headers['x-user-id'] || req.query.userId;
+    const website = await resolveOwnedWebsite(req, res);
+    if (!website) return;
 
-    if (!domain) {
-      return res.status(400).json({ error: 'Domain is required' });
+    if (!UUID_PATTERN.test(req.params.keyId)) {
+      return res.status(404).json({ error: 'API key not found' });
     }
 
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
+    const { apiKey, error, status } = await apiKeyStore.revoke(website, req.params.keyId);
+    if (error) {
+      return res.status(status).json({ error });
     }
 
-    const domainRegex = /^[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
-    if (!domainRegex.test(domain)) {
-      return res.status(400).json({ error: 'Invalid domain format' });
-    }
+    console.log('✅ API key revoked for:', website.domain, apiKey.prefix);
+    res.json(apiKey);
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Could not revoke API key' });
+  }
+});
 
-    if (supabase) {
-      const { data, error } = await supabase
-        .from('websites')
-        .insert([{ userId: userId, domain }])
-        .select();
+// --- WEBSITE PATH RULES ENDPOINTS ---
+// Normalization applied to paths at ingestion (see path-rules.js). New rules
+// only affect new events unless applyToHistory is set, which rewrites the
+// paths already stored and deletes events on excluded paths. That rewrite can
+// take minutes on a large site, so it runs in the background and its progress
+// is kept in websites.path_rules_job, where any server process can read it.
+const pathRuleRewrites = new Set();
+
+// A job that hasn't reported progress for this long died with its process
+const PATH_RULES_JOB_STALE_MS = 10 * 60 * 1000;
+const PATH_RULES_JOB_SAVE_INTERVAL_MS = 2000;
+
+function isPathRulesJobRunning(job) {
+  return Boolean(job) && job.status === 'running' &&
+    Date.now() - new Date(job.updatedAt).getTime() < PATH_RULES_JOB_STALE_MS;
+}
 
-      if (error) {
-        if (error.code === '23505') {
-          return res.status(409).json({ error: 'Domain already registered for this user' });
+async function savePathRulesJob(websiteId, job) {
+  job.updatedAt = new Date().toISOString();
+  const { error } = await supabase
+    .from('websites')
+    .update({ path_rules_job: job })
+    .eq('id', websiteId);
+
+  if (error) {
+    console.error('Path rules job update error:', error.message);
+  }
+}
+
+async function runPathRulesRewrite(website, rules, job) {
+  let lastSaved = Date.now();
+
+  try {
+    const history = await reapplyPathRules(supabase, website.domain, rules, {
+      onProgress: progress => {
+        job.progress = progress;
+        if (Date.now() - lastSaved >= PATH_RULES_JOB_SAVE_INTERVAL_MS) {
+          lastSaved = Date.now();
+          savePathRulesJob(website.id, job);
         }
-        console.error('Database insert error:', error);
-        return res.status(500).json({ error: 'Could not register website' });
       }
+    });
 
-      console.log('✅ Website registered:', domain, 'for user:', userId);
-      res.status(201).json({
-        id: data[0].id,
-        userId: data[0].userId,
-        domain: data[0].domain,
-        created_at: data[0].created_at
-      });
-    } else {
-      res.status(201).json({
-        id: uuidv4(),
-        userId: userId,
-        domain,
-        created_at: new Date().toISOString()
-      });
-    }
+    job.status = 'completed';
+    job.progress = { ...job.progress, phase: 'done', ...history };
+    console.log('✅ Path rules applied to history for:', website.domain, history);
   } catch (error) {
-    console.error('Website registration error:', error);
-    res.status(500).json({ error: 'Could not register website' });
+    job.status = 'failed';
+    job.error = error.message;
+    console.error('Path rules rewrite error for', website.domain, error);
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    await savePathRulesJob(website.id, job);
+    pathRuleRewrites.delete(website.id);
+  }
+}
+
+app.get('/api/websites/:id/path-rules', apiLimiter, async (req, res) => {
+  try {
+    const website = await resolveOwnedWebsite(req, res);
+    if (!website) return;
+
+    res.json({
+      domain: website.domain,
+      rules: website.path_rules || DEFAULT_PATH_RULES,
+      historyJob: website.path_rules_job || null
+    });
+  } catch (error) {
+    console.error('Get path rules error:', error);
+    res.status(500).json({ error: 'Could not fetch path rules' });
   }
 });
 
-// --- GET WEBSITES FOR USER ENDPOINT ---
-app.get('/api/websites/:userId', apiLimiter, async (req, res) => {
+app.put('/api/websites/:id/path-rules', apiLimiter, async (req, res) => {
   try {
-    const { userId } = req.params;
+    const { applyToHistory = false, ...input } = req.body || {};
 
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
+    if (typeof applyToHistory !== 'boolean') {
+      return res.status(400).json({ error: 'applyToHistory must be a boolean' });
     }
 
-    if (supabase) {
-      const { data, error } = await supabase
-        .from('websites')
-        .select('*')
-        .eq('userId', userId)
-        .order('created_at', { ascending: false });
+    const { rules, errors } = validatePathRules(input);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid path rules', details: errors });
+    }
 
-      if (error) {
-        console.error('Database query error:', error);
-        return res.status(500).json({ error: 'Could not fetch websites' });
-      }
+    const website = await resolveOwnedWebsite(req, res);
+    if (!website) return;
 
-      console.log('✅ Websites fetched for user:', userId, 'count:', data.length);
-      res.json(data);
-    } else {
-      res.json([]);
+    if (applyToHistory && (pathRuleRewrites.has(website.id) || isPathRulesJobRunning(website.path_rules_job))) {
+      return res.status(409).json({
+        error: 'Path rules are already being applied to this website',
+        historyJob: website.path_rules_job || null
+      });
     }
+
+    const { error } = await supabase
+      .from('websites')
+      .update({ path_rules: rules })
+      .eq('id', website.id);
+
+    if (error) {
+      console.error('Database update error:', error);
+      return res.status(500).json({ error: 'Could not update path rules' });
+    }
+
+    siteVerifier.invalidate(website.domain);
+    console.log('✅ Path rules updated for:', website.domain, rules);
+
+    if (!applyToHistory) {
+      return res.json({ domain: website.domain, rules });
+    }
+
+    // Progress is reported by GET /api/websites/:id/path-rules
+    const job = { status: 'running', startedAt: new Date().toISOString(), progress: null };
+    pathRuleRewrites.add(website.id);
+    await savePathRulesJob(website.id, job);
+    runPathRulesRewrite(website, rules, job).catch(error => {
+      console.error('Path rules rewrite error:', error);
+    });
+
+    res.status(202).json({ domain: website.domain, rules, historyJob: job });
   } catch (error) {
-    console.error('Get websites error:', error);
-    res.status(500).json({ error: 'Could not fetch websites' });
+    console.error('Update path rules error:', error);
+    res.status(500).json({ error: 'Could not update path rules' });
+  }
+});
+
+// --- TRACKING DIAGNOSTICS ENDPOINT ---
+// Events rejected at ingestion for a site, or excluded by its own rules, counted
+// since this server process started
+app.get('/api/tracking-diagnostics/:domain', validateStatsRequest, apiLimiter, async (req, res) => {
+  const { domain } = req.params;
+  const userId = req.headers['x-user-id'] || req.query.userId;
+
+  if (!userId) {
+    return res.status(400).json({ error: 'User ID is required' });
   }
+
+  if (!(await userOwnsWebsite(userId, domain))) {
+    return res.status(403).json({ error: 'Access denied: You do not own this website' });
+  }
+
+  res.json({
+    domain,
+    ...siteVerifier.getStats(domain),
+    ingestion: await ingestQueue.getStats()
+  });
 });
 
 // --- INSTALLATION REQUESTS ENDPOINT ---
@@ -2246,121 +4613,82 @@ app.get('/api/debug/:domain', apiLimiter, async (req, res) => {
 });
 
 // --- TRACKER SCRIPT ---
-app.get('/tracker.js', (req, res) => {
+// Served from tracker.js via tracker-script.js. /tracker.js is the stable
+// alias and revalidates with the ETag; /tracker.<version>.js never changes,
+// so it can be cached forever and pinned with the published SRI hash.
+function sendTrackerScript(res, script, cacheControl) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
   res.setHeader('Vary', 'Origin');
+  res.setHeader('Content-Type', 'application/javascript; charset=utf-8');
+  res.setHeader('Cache-Control', cacheControl);
+  res.setHeader('ETag', script.etag);
+  res.setHeader('X-Tracker-Version', script.version);
 
-  const trackerScript = `
-(function() {
-  'use strict';
-
-  const config = {
-    backendUrl: 'https://${req.get('host')}',
-    trackEngagement: true,
-    trackPageExit: true
-  };
-
-  if (window.self !== window.top) {
-    return;
-  }
-
-  const script = document.currentScript;
-  const siteId = script?.getAttribute('data-site-id');
+  // res.send answers 304 when If-None-Match matches the ETag
+  res.send(script.body);
+}
 
-  if (!siteId) {
-    console.error('Insight AI: Missing data-site-id attribute.');
-    return;
+app.get('/tracker.js', (req, res) => {
+  const script = getTrackerScript();
+  if (!script) {
+    return res.status(503).type('application/javascript').send('/* Insight AI tracker is not available yet */');
   }
 
-  let visitorId = localStorage.getItem('insight_ai_visitor_id');
-  if (!visitorId) {
-    visitorId = 'v2-' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
-    try {
-      localStorage.setItem('insight_ai_visitor_id', visitorId);
-    } catch (e) {
-      sessionStorage.setItem('insight_ai_visitor_id', visitorId);
-    }
-  }
-
-  const pageData = {
-    siteId: siteId,
-    visitorId: visitorId,
-    path: window.location.pathname,
-    referrer: document.referrer,
-    screenWidth: screen.width,
-    screenHeight: screen.height,
-    language: navigator.language,
-    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-    userAgent: navigator.userAgent,
-    timestamp: Date.now()
-  };
-
-  function sendTracking(eventType = 'pageview', customData = {}) {
-    const trackingData = { ...pageData, ...customData, eventType };
-
-    if (navigator.sendBeacon) {
-      const blob = new Blob([JSON.stringify(trackingData)], { type: 'application/json' });
-      navigator.sendBeacon(config.backendUrl + '/track', blob);
-    } else {
-      fetch(config.backendUrl + '/track', {
-        method: 'POST',
-        body: JSON.stringify(trackingData),
-        headers: { 'Content-Type': 'application/json' },
-        keepalive: true,
-        mode: 'no-cors'
-      }).catch(() => {});
-    }
-  }
+  sendTrackerScript(res, script, 'public, max-age=300, must-revalidate');
+});
 
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => sendTracking('pageview'));
-  } else {
-    setTimeout(() => sendTracking('pageview'), 100);
+app.get(/^\/tracker\.([a-f0-9]{12})\.js$/, (req, res) => {
+  const script = getTrackerScript();
+  if (!script) {
+    return res.status(503).type('application/javascript').send('/* Insight AI tracker is not available yet */');
   }
 
-  if (config.trackPageExit) {
-    window.addEventListener('beforeunload', function() {
-      sendTracking('pageexit', { exitTime: Date.now() });
-    });
+  // Embeds of an older version keep working; ones pinned with SRI fail closed
+  if (req.params[0] !== script.version) {
+    res.setHeader('Cache-Control', 'no-cache');
+    return res.redirect(302, '/tracker.js');
   }
 
-  if (config.trackEngagement) {
-    let engaged = false;
-    const engagementEvents = ['click', 'scroll', 'keydown', 'mousemove'];
+  sendTrackerScript(res, script, 'public, max-age=31536000, immutable');
+});
 
-    engagementEvents.forEach(event => {
-      document.addEventListener(event, function() {
-        if (!engaged) {
-          engaged = true;
-          sendTracking('engagement', { engagementTime: Date.now() });
-        }
-      }, { once: true, passive: true });
-    });
+// Current tracker version, its SRI hash and a ready-made embed snippet
+app.get('/api/tracker', cors(), (req, res) => {
+  const script = getTrackerScript();
+  if (!script) {
+    return res.status(503).json({ error: 'Tracker script is not available yet' });
   }
 
-  window.insightAI = window.insightAI || {};
-  window.insightAI.track = function(eventName, customData = {}) {
-    sendTracking(eventName, customData);
-  };
-
-  console.log('✅ Insight AI Tracker Loaded for site:', siteId);
-})();
-  `;
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const siteId = req.query.siteId ? String(req.query.siteId).replace(/[^a-zA-Z0-9.\-]/g, '').toLowerCase() : 'your-domain.com';
+  const url = `${baseUrl}/${script.fileName}`;
 
-  res.setHeader('Content-Type', 'application/javascript');
-  res.setHeader('Cache-Control', 'public, max-age=3600');
-  res.send(trackerScript);
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  res.json({
+    version: script.version,
+    url,
+    stableUrl: `${baseUrl}/tracker.js`,
+    integrity: script.integrity,
+    size: script.size,
+    builtAt: script.builtAt,
+    attributes: SCRIPT_ATTRIBUTES,
+    snippet: `<script defer src="${url}" integrity="${script.integrity}" crossorigin="anonymous" data-site-id="${siteId}"></script>`
+  });
 });
 
 // --- HEALTH CHECK ENDPOINT ---
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
   res.status(200).json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     tracking: 'active',
-    database: supabase ? 'connected' : 'disconnected'
+    database: supabase ? 'connected' : 'disconnected',
+    ingestion: await ingestQueue.getStats(),
+    bots: getBotStats(),
+    siteVerification: siteVerifier.getStats(),
+    deduplication: eventDeduper.getStats()
   });
 });
 
@@ -2777,6 +5105,9 @@ app.post('/api/ai/website-intelligence', apiLimiter, async (req, res) => {
 
     console.log('🤖 AI Website Intelligence analysis for:', domain);
 
+    const performance = await getMeasuredPerformance(domain);
+    const averageLoadTime = measuredLoadTime(performance);
+
     // Enhanced AI analysis with better error handling
     const model = ai.getGenerativeModel({ model: 'gemini-1.5-flash' });
     
@@ -2786,6 +5117,7 @@ As a professional web analytics expert, analyze this website and provide compreh
 DOMAIN: ${domain}
 DETECTED PATHS: ${JSON.stringify(paths?.slice(0, 50) || [], null, 2)}
 SAMPLE PAGE VIEWS: ${pageViews?.length || 0} total views
+MEASURED PERFORMANCE: ${describePerformance(performance)}
 
 Provide a detailed analysis in this exact JSON structure:
 {
@@ -2805,7 +5137,7 @@ Provide a detailed analysis in this exact JSON structure:
     "services": []
   },
   "technicalInsights": {
-    "averageLoadTime": 2.5,
+    "averageLoadTime": ${averageLoadTime},
     "mobileOptimized": true,
     "hasSearch": false,
     "hasFilters": false,
@@ -2832,6 +5164,8 @@ Be specific and evidence-based in your analysis. Focus on actionable insights.
     const jsonMatch = text.match(/\{[\s\S]*\}/);
     if (jsonMatch) {
       const analysis = JSON.parse(jsonMatch[0]);
+      // Load time is measured, never left to the model
+      analysis.technicalInsights = { ...analysis.technicalInsights, averageLoadTime };
       console.log('✅ AI Website Intelligence generated successfully');
       return res.json(analysis);
     }
@@ -2846,7 +5180,7 @@ Be specific and evidence-based in your analysis. Focus on actionable insights.
       characteristics: ['Basic website structure detected', 'Limited data available for full analysis'],
       detectedPages: {},
       technicalInsights: {
-        averageLoadTime: 2.5,
+        averageLoadTime: measuredLoadTime(await getMeasuredPerformance(req.body.domain)),
         mobileOptimized: true,
         hasSearch: false,
         hasFilters: false,
@@ -2895,6 +5229,8 @@ app.post('/api/ai/website-intelligence', apiLimiter, async (req, res) => {
 
     // Fetch actual website content for deeper analysis
     const websiteContent = await fetchWebsiteContent(domain);
+    const performance = await getMeasuredPerformance(domain);
+    const averageLoadTime = measuredLoadTime(performance);
     
     const model = ai.getGenerativeModel({ model: 'gemini-1.5-flash' });
     
@@ -2905,6 +5241,7 @@ DOMAIN: ${domain}
 DETECTED PATHS: ${JSON.stringify(paths.slice(0, 50), null, 2)}
 SAMPLE PAGE VIEWS: ${pageViews.length} total views
 WEBSITE CONTENT SAMPLE: ${websiteContent ? websiteContent.substring(0, 10000) : 'Unable to fetch content'}
+MEASURED PERFORMANCE: ${describePerformance(performance)}
 
 Provide a detailed analysis in this exact JSON structure:
 {
@@ -2924,7 +5261,7 @@ Provide a detailed analysis in this exact JSON structure:
     "services": ["/services"]
   },
   "technicalInsights": {
-    "averageLoadTime": 2.5,
+    "averageLoadTime": ${averageLoadTime},
     "mobileOptimized": true,
     "hasSearch": true,
     "hasFilters": true,
@@ -2954,6 +5291,8 @@ Be specific and evidence-based in your analysis. Focus on actionable insights.
     const jsonMatch = text.match(/\{[\s\S]*\}/);
     if (jsonMatch) {
       const analysis = JSON.parse(jsonMatch[0]);
+      // Load time is measured, never left to the model
+      analysis.technicalInsights = { ...analysis.technicalInsights, averageLoadTime };
       console.log('✅ AI Website Intelligence generated successfully');
       return res.json(analysis);
     }
@@ -2963,6 +5302,7 @@ Be specific and evidence-based in your analysis. Focus on actionable insights.
     console.error('❌ AI website intelligence analysis error:', error);
     // Return fallback analysis based on basic path analysis
     const fallbackAnalysis = generateFallbackAnalysis(req.body.paths, req.body.domain);
+    fallbackAnalysis.technicalInsights.averageLoadTime = measuredLoadTime(await getMeasuredPerformance(req.body.domain));
     res.json(fallbackAnalysis);
   }
 });
@@ -3106,7 +5446,24 @@ server.listen(port, () => {
   console.log(`🤖 AI endpoints: http://localhost:${port}/api/suggestions`);
   console.log(`🔧 Improvements endpoint: http://localhost:${port}/api/improvements`);
   console.log(`📝 Tracker script: http://localhost:${port}/tracker.js`);
+  console.log(`🔐 Tracker version and SRI: http://localhost:${port}/api/tracker`);
   console.log(`🎯 Tracking endpoint: http://localhost:${port}/track`);
+  console.log(`🔑 Server events endpoint: http://localhost:${port}/api/events`);
   console.log(`🐛 Debug endpoint: http://localhost:${port}/api/debug/:domain`);
   console.log(`💳 PayPal create subscription: http://localhost:${port}/api/paypal/create-subscription`);
-});
\ No newline at end of file
+});
+// --- GRACEFUL SHUTDOWN ---
+// Flush buffered tracking events, or spill them to disk, before exiting
+async function shutdown(signal) {
+  console.log(`${signal} received, flushing ingestion queue...`);
+  server.close();
+  await ingestQueue.close();
+  await engagementUpdater.close();
+  await sessionTracker.close();
+  await orderStore.close();
+  await cacheManager.close();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
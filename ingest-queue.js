@@ -0,0 +1,303 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const REDIS_QUEUE_KEY = 'ingest:page_views';
+
+// While writes are failing, spooled rows are tried again this often, so they
+// don't wait on disk for the next new event to be written
+const REPLAY_PROBE_INTERVAL = parseInt(process.env.INGEST_REPLAY_PROBE_MS) || 30000;
+
+// Buffers tracking rows between the HTTP handler and the database.
+// Rows are flushed in bulk when the batch size or flush interval is reached,
+// failed batches are retried with backoff, and anything that cannot be written
+// (or does not fit in the buffer) is spilled to disk and replayed later.
+class IngestQueue {
+  constructor(writer, options = {}) {
+    this.writer = writer;
+    this.redis = null;
+    this.buffer = [];
+    this.retryBatch = null;
+    this.retryAttempts = 0;
+    this.nextRetryAt = 0;
+    this.flushing = false;
+    this.healthy = true;
+    this.nextReplayAt = 0;
+    this.timer = null;
+
+    this.batchSize = options.batchSize || parseInt(process.env.INGEST_BATCH_SIZE) || 100;
+    this.flushInterval = options.flushInterval || parseInt(process.env.INGEST_FLUSH_INTERVAL_MS) || 2000;
+    this.maxBufferSize = options.maxBufferSize || parseInt(process.env.INGEST_MAX_BUFFER) || 10000;
+    this.maxRetries = options.maxRetries || parseInt(process.env.INGEST_MAX_RETRIES) || 5;
+    this.overflow = options.overflow || process.env.INGEST_OVERFLOW || 'spill'; // spill | drop
+    this.spoolDir = options.spoolDir || process.env.INGEST_SPOOL_DIR || path.join(__dirname, 'spool');
+
+    this.stats = {
+      enqueued: 0,
+      written: 0,
+      failedFlushes: 0,
+      spilled: 0,
+      replayed: 0,
+      dropped: 0
+    };
+  }
+
+  // Use the shared Redis client from cache.js when it is connected
+  async init(cacheManager = null) {
+    if (cacheManager && process.env.INGEST_QUEUE_BACKEND === 'redis') {
+      await cacheManager.init();
+      if (cacheManager.redis && cacheManager.redis.isOpen) {
+        this.redis = cacheManager.redis;
+        console.log('✅ Ingest queue using Redis backend');
+      } else {
+        console.log('⚠️ Redis not available, ingest queue using memory backend');
+      }
+    }
+
+    this.timer = setInterval(() => {
+      this.flush().catch(error => console.error('Ingest queue flush error:', error));
+    }, this.flushInterval);
+    this.timer.unref();
+  }
+
+  async size() {
+    let queued = this.buffer.length;
+    if (this.redis && this.redis.isOpen) {
+      try {
+        queued += await this.redis.lLen(REDIS_QUEUE_KEY);
+      } catch (error) {
+        console.error('Ingest queue Redis size error:', error.message);
+      }
+    }
+    return queued + (this.retryBatch ? this.retryBatch.length : 0);
+  }
+
+  // Returns the number of rows accepted; rows beyond the buffer limit are
+  // spilled to disk or dropped depending on the overflow policy
+  async enqueue(rows) {
+    if (!rows || rows.length === 0) return 0;
+
+    if (this.redis && this.redis.isOpen) {
+      try {
+        await this.redis.rPush(REDIS_QUEUE_KEY, rows.map(row => JSON.stringify(row)));
+        this.stats.enqueued += rows.length;
+        await this.flushIfFull();
+        return rows.length;
+      } catch (error) {
+        console.error('Ingest queue Redis push error, using memory buffer:', error.message);
+      }
+    }
+
+    const room = Math.max(this.maxBufferSize - this.buffer.length, 0);
+    const accepted = rows.slice(0, room);
+    const overflow = rows.slice(room);
+
+    this.buffer.push(...accepted);
+    this.stats.enqueued += accepted.length;
+
+    let handled = accepted.length;
+    if (overflow.length > 0) {
+      if (this.overflow === 'spill' && this.spill(overflow)) {
+        handled += overflow.length;
+      } else {
+        this.stats.dropped += overflow.length;
+        console.warn(`⚠️ Ingest queue full, dropped ${overflow.length} event(s)`);
+      }
+    }
+
+    await this.flushIfFull();
+    return handled;
+  }
+
+  async flushIfFull() {
+    if (this.buffer.length >= this.batchSize) {
+      this.flush().catch(error => console.error('Ingest queue flush error:', error));
+    }
+  }
+
+  async takeBatch() {
+    if (this.retryBatch) {
+      return this.retryBatch;
+    }
+
+    if (this.buffer.length > 0) {
+      return this.buffer.splice(0, this.batchSize);
+    }
+
+    if (this.redis && this.redis.isOpen) {
+      const [items] = await this.redis
+        .multi()
+        .lRange(REDIS_QUEUE_KEY, 0, this.batchSize - 1)
+        .lTrim(REDIS_QUEUE_KEY, this.batchSize, -1)
+        .exec();
+      return (items || []).map(item => JSON.parse(item));
+    }
+
+    return [];
+  }
+
+  async flush() {
+    if (this.flushing) return;
+    if (this.retryBatch && Date.now() < this.nextRetryAt) return;
+
+    this.flushing = true;
+    try {
+      let batch = await this.takeBatch();
+      if (batch.length === 0 && (this.healthy || Date.now() >= this.nextReplayAt)) {
+        if (!this.healthy) {
+          this.nextReplayAt = Date.now() + REPLAY_PROBE_INTERVAL;
+        }
+        this.replaySpool();
+        batch = await this.takeBatch();
+      }
+
+      while (batch.length > 0) {
+        try {
+          await this.writer(batch);
+        } catch (error) {
+          this.handleFailedBatch(batch, error);
+          return;
+        }
+
+        this.stats.written += batch.length;
+        this.healthy = true;
+        this.retryBatch = null;
+        this.retryAttempts = 0;
+
+        if (batch.length < this.batchSize) {
+          this.replaySpool();
+        }
+
+        batch = await this.takeBatch();
+      }
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  handleFailedBatch(batch, error) {
+    this.stats.failedFlushes++;
+    this.retryAttempts++;
+    this.healthy = false;
+
+    if (this.retryAttempts > this.maxRetries) {
+      console.error(`❌ Ingest batch failed ${this.maxRetries} retries, spilling ${batch.length} event(s) to disk:`, error.message);
+      if (!this.spill(batch)) {
+        this.stats.dropped += batch.length;
+      }
+      this.retryBatch = null;
+      this.retryAttempts = 0;
+      return;
+    }
+
+    // Exponential backoff, capped at one minute
+    const delay = Math.min(1000 * 2 ** (this.retryAttempts - 1), 60000);
+    this.retryBatch = batch;
+    this.nextRetryAt = Date.now() + delay;
+    console.warn(`⚠️ Ingest batch write failed (attempt ${this.retryAttempts}), retrying in ${delay}ms:`, error.message);
+  }
+
+  spill(rows) {
+    try {
+      fs.mkdirSync(this.spoolDir, { recursive: true });
+      const file = path.join(this.spoolDir, `page_views-${process.pid}-${Date.now()}.jsonl`);
+      fs.appendFileSync(file, rows.map(row => JSON.stringify(row)).join('\n') + '\n');
+      this.stats.spilled += rows.length;
+      return true;
+    } catch (error) {
+      console.error('❌ Could not spill ingest events to disk:', error.message);
+      return false;
+    }
+  }
+
+  // Move spooled rows back into the buffer, from the oldest file, as far as
+  // the buffer has room; the rest of a large file stays for the next replay
+  replaySpool() {
+    let files;
+    try {
+      files = fs.readdirSync(this.spoolDir).filter(file => file.endsWith('.jsonl')).sort();
+    } catch (error) {
+      return;
+    }
+
+    for (const name of files) {
+      const room = this.maxBufferSize - this.buffer.length;
+      if (room <= 0) return;
+
+      const file = path.join(this.spoolDir, name);
+      let rows;
+      try {
+        rows = fs.readFileSync(file, 'utf8')
+          .split('\n')
+          .filter(line => line.trim())
+          .map(line => JSON.parse(line));
+      } catch (error) {
+        // Set aside for inspection so it doesn't block the files after it
+        console.error(`❌ Could not replay spool file ${name}, moving it aside:`, error.message);
+        try {
+          fs.renameSync(file, file.replace(/\.jsonl$/, '.bad'));
+        } catch (renameError) {
+          console.error(`❌ Could not move spool file ${name} aside:`, renameError.message);
+          return;
+        }
+        continue;
+      }
+
+      const replay = rows.slice(0, room);
+      const rest = rows.slice(room);
+
+      try {
+        if (rest.length > 0) {
+          fs.writeFileSync(file, rest.map(row => JSON.stringify(row)).join('\n') + '\n');
+        } else {
+          fs.unlinkSync(file);
+        }
+      } catch (error) {
+        console.error(`❌ Could not update spool file ${name}:`, error.message);
+        return;
+      }
+
+      this.buffer.push(...replay);
+      this.stats.replayed += replay.length;
+      console.log(`🔁 Replaying ${replay.length} spilled event(s) from ${name}${rest.length > 0 ? `, ${rest.length} left` : ''}`);
+      return;
+    }
+  }
+
+  async getStats() {
+    return {
+      ...this.stats,
+      queued: await this.size(),
+      backend: this.redis && this.redis.isOpen ? 'redis' : 'memory',
+      retrying: !!this.retryBatch
+    };
+  }
+
+  // Flush what we can on shutdown and keep the rest on disk
+  async close() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    this.nextRetryAt = 0;
+    try {
+      await this.flush();
+    } catch (error) {
+      console.error('Ingest queue final flush error:', error);
+    }
+
+    const remaining = [...(this.retryBatch || []), ...this.buffer];
+    this.retryBatch = null;
+    this.buffer = [];
+    if (remaining.length > 0) {
+      this.spill(remaining);
+      console.log(`💾 Spilled ${remaining.length} unsent event(s) to disk on shutdown`);
+    }
+  }
+}
+
+export default IngestQueue;
@@ -0,0 +1,71 @@
+import net from 'net';
+
+// Internal traffic, e.g. a client's own office network, excluded by CIDR
+// range (or single address) from websites.excluded_ips. Checked at ingestion
+// while the client IP is still known; it is never stored.
+
+export const MAX_EXCLUDED_RANGES = 50;
+const MAX_COMPILED = 1000;
+
+const compiled = new Map();
+
+// "203.0.113.0/24", "2001:db8::/32" or a single address
+function parseRange(range) {
+  if (typeof range !== 'string') return null;
+
+  const [address, prefix, ...rest] = range.trim().split('/');
+  const version = net.isIP(address);
+  if (!version || rest.length > 0) return null;
+
+  const maxPrefix = version === 4 ? 32 : 128;
+  if (prefix !== undefined && !/^\d{1,3}$/.test(prefix)) return null;
+  const bits = prefix === undefined ? maxPrefix : Number(prefix);
+  if (bits > maxPrefix) return null;
+
+  return { address, prefix: bits, type: version === 4 ? 'ipv4' : 'ipv6' };
+}
+
+// Returns { ranges } in canonical form, or { error } naming the first invalid entry
+export function validateIpRanges(ranges) {
+  if (!Array.isArray(ranges) || ranges.length > MAX_EXCLUDED_RANGES) {
+    return { error: `ranges must be an array of up to ${MAX_EXCLUDED_RANGES} CIDR ranges or addresses` };
+  }
+
+  const invalid = ranges.find(range => !parseRange(range));
+  if (invalid !== undefined) {
+    return { error: `Invalid IP range: ${invalid}` };
+  }
+
+  return {
+    ranges: [...new Set(ranges.map(range => {
+      const { address, prefix } = parseRange(range);
+      return `${address.toLowerCase()}/${prefix}`;
+    }))]
+  };
+}
+
+function compile(ranges) {
+  const key = ranges.join(',');
+  let blockList = compiled.get(key);
+  if (blockList) return blockList;
+
+  blockList = new net.BlockList();
+  ranges.map(parseRange).filter(Boolean).forEach(({ address, prefix, type }) => {
+    blockList.addSubnet(address, prefix, type);
+  });
+
+  if (compiled.size >= MAX_COMPILED) compiled.clear();
+  compiled.set(key, blockList);
+  return blockList;
+}
+
+export function isIpExcluded(ip, ranges) {
+  if (!ip || !Array.isArray(ranges) || ranges.length === 0) return false;
+
+  // IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+  const address = ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  const version = net.isIP(address);
+  if (!version) return false;
+
+  return compile(ranges).check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import NodeCache from 'node-cache';
+
+// Cross-domain linking for owners with several registered domains, e.g. a
+// shop and a separate checkout. Websites with the same owner and link group
+// are linked: the tracker decorates links between them with a short-lived
+// token signed here, and the tracker on the receiving domain exchanges it for
+// the visitor and session IDs it carries.
+
+export const LINKER_TOKEN_TTL = parseInt(process.env.LINKER_TOKEN_TTL_SECONDS) || 10 * 60;
+
+// Link groups are cached per server process; a change shows up on this
+// process straight away and on the others within GROUP_TTL
+const GROUP_TTL = 300;
+const MAX_ID_LENGTH = 64;
+
+function normalizeHost(hostname) {
+  return String(hostname).toLowerCase().replace(/^www\./, '');
+}
+
+// Tokens must verify on every server process and after restarts, so the
+// secret can't be random: LINKER_SECRET, or else one derived from the
+// Supabase service key all processes share. Without a database nothing can
+// be linked, and a per-process secret is harmless.
+function linkerSecret() {
+  if (process.env.LINKER_SECRET) return process.env.LINKER_SECRET;
+
+  if (process.env.SUPABASE_SERVICE_KEY) {
+    console.warn('⚠️ LINKER_SECRET is not set; cross-domain linker tokens are signed with a key derived from SUPABASE_SERVICE_KEY');
+    return crypto.createHmac('sha256', process.env.SUPABASE_SERVICE_KEY).update('insight-ai:linker').digest('hex');
+  }
+
+  console.warn('⚠️ LINKER_SECRET is not set; cross-domain linker tokens only verify on this server process');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function sign(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+class DomainLinker {
+  constructor(supabase, secret = linkerSecret()) {
+    this.supabase = supabase;
+    this.secret = secret;
+    this.cache = new NodeCache({ stdTTL: GROUP_TTL, checkperiod: 120 });
+  }
+
+  // Hostnames (and alias patterns) of the other websites linked to a domain.
+  // Registered domains are stored lower case; an exact match keeps "%" or "_"
+  // in an untrusted siteId from matching other owners' sites.
+  async getLinkedDomains(domain) {
+    if (!this.supabase || !domain) return [];
+
+    const key = normalizeHost(domain);
+    const cached = this.cache.get(key);
+    if (cached !== undefined) return cached;
+
+    const { data: websites, error } = await this.supabase
+      .from('websites')
+      .select('userId, link_group')
+      .eq('domain', key)
+      .not('link_group', 'is', null);
+
+    if (error) {
+      console.error('Linked domains lookup error:', error.message);
+      return [];
+    }
+
+    const hosts = new Set();
+    for (const website of websites || []) {
+      const { data: linked, error: groupError } = await this.supabase
+        .from('websites')
+        .select('domain, aliases')
+        .eq('userId', website.userId)
+        .eq('link_group', website.link_group);
+
+      if (groupError) {
+        console.error('Linked domains lookup error:', groupError.message);
+        return [];
+      }
+
+      (linked || []).forEach(site => {
+        if (normalizeHost(site.domain) === key) return;
+        [site.domain, ...(site.aliases || [])].forEach(host => hosts.add(host.toLowerCase()));
+      });
+    }
+
+    const domains = [...hosts];
+    this.cache.set(key, domains);
+    return domains;
+  }
+
+  async isLinked(fromDomain, toDomain) {
+    const target = normalizeHost(toDomain);
+    const linked = await this.getLinkedDomains(fromDomain);
+    return linked.some(pattern => pattern.startsWith('*.')
+      ? target === normalizeHost(pattern.substring(2)) || target.endsWith(`.${normalizeHost(pattern.substring(2))}`)
+      : target === normalizeHost(pattern));
+  }
+
+  // Link groups change rarely and affect every domain in them. Only this
+  // process's cache is cleared (see GROUP_TTL).
+  invalidate() {
+    this.cache.flushAll();
+  }
+
+  issue(siteId, visitorId, sessionId = null) {
+    const expiresAt = Date.now() + LINKER_TOKEN_TTL * 1000;
+    const payload = Buffer.from(JSON.stringify({
+      d: normalizeHost(siteId),
+      v: visitorId,
+      s: sessionId || undefined,
+      e: Math.floor(expiresAt / 1000)
+    })).toString('base64url');
+
+    return { token: `${payload}.${sign(this.secret, payload)}`, expiresAt };
+  }
+
+  // Returns { visitorId, sessionId } for a token issued by a domain linked to
+  // siteId, or { error }
+  async verify(token, siteId) {
+    if (typeof token !== 'string' || token.length > 512) return { error: 'Invalid token' };
+
+    const [payload, signature, ...rest] = token.split('.');
+    if (!payload || !signature || rest.length > 0) return { error: 'Invalid token' };
+
+    const expected = Buffer.from(sign(this.secret, payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { error: 'Invalid token' };
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return { error: 'Invalid token' };
+    }
+
+    if (!claims || typeof claims.v !== 'string' || claims.v.length === 0 || claims.v.length > MAX_ID_LENGTH) {
+      return { error: 'Invalid token' };
+    }
+    if (!Number.isFinite(claims.e) || claims.e * 1000 < Date.now()) {
+      return { error: 'Token has expired' };
+    }
+    if (!(await this.isLinked(claims.d, siteId))) {
+      return { error: 'Domains are not linked', status: 403 };
+    }
+
+    return {
+      visitorId: claims.v,
+      sessionId: typeof claims.s === 'string' ? claims.s.substring(0, MAX_ID_LENGTH) : null
+    };
+  }
+}
+
+export default DomainLinker;
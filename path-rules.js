@@ -0,0 +1,208 @@
+// Per-website path normalization, applied to events as they are ingested so
+// every report groups by the normalized path. Rules are stored as JSON in
+// websites.path_rules:
+//   queryParams    query parameters kept in the path; all others are dropped
+//   patterns       e.g. "/product/:id" stores /product/123 as /product/:id;
+//                  ":name" matches one segment and a trailing "*" the rest
+//   lowercase      fold paths to lower case (query values are left alone)
+//   trailingSlash  store /pricing/ as /pricing
+//   exclude        paths whose events are dropped, in the same syntax
+
+export const DEFAULT_PATH_RULES = {
+  queryParams: [],
+  patterns: [],
+  lowercase: false,
+  trailingSlash: false,
+  exclude: []
+};
+
+const MAX_RULES = 100;
+const MAX_RULE_LENGTH = 255;
+const MAX_COMPILED = 1000;
+
+const compiled = new Map();
+
+function patternToRegExp(pattern, lowercase) {
+  const source = (lowercase ? pattern.toLowerCase() : pattern)
+    .split('/')
+    .map((segment, index, segments) => {
+      if (segment === '*' && index === segments.length - 1) return '.*';
+      if (/^:[A-Za-z0-9_]+$/.test(segment)) return '[^/]+';
+      return segment.replace(/[.+?^$()|[\]\\{}]/g, '\\$&').replace(/\*/g, '[^/]*');
+    })
+    .join('/');
+  return new RegExp(`^${source}$`);
+}
+
+function isPathList(value) {
+  return Array.isArray(value) && value.length <= MAX_RULES &&
+    value.every(item => typeof item === 'string' && item.startsWith('/') && item.length <= MAX_RULE_LENGTH);
+}
+
+// Returns { rules } with defaults filled in, or { errors: [{ field, message }] }
+export function validatePathRules(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: [{ field: null, message: 'Path rules must be an object' }] };
+  }
+
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  const rules = { ...DEFAULT_PATH_RULES };
+
+  Object.keys(input)
+    .filter(field => !(field in DEFAULT_PATH_RULES))
+    .forEach(field => fail(field, 'Unknown rule'));
+
+  if (input.queryParams !== undefined) {
+    if (!Array.isArray(input.queryParams) || input.queryParams.length > MAX_RULES ||
+      !input.queryParams.every(param => typeof param === 'string' && param.length > 0 && param.length <= 64)) {
+      fail('queryParams', `Must be an array of up to ${MAX_RULES} parameter names`);
+    } else {
+      rules.queryParams = [...new Set(input.queryParams)];
+    }
+  }
+
+  ['patterns', 'exclude'].forEach(field => {
+    if (input[field] === undefined) return;
+    if (!isPathList(input[field])) {
+      fail(field, `Must be an array of up to ${MAX_RULES} paths starting with "/"`);
+    } else {
+      rules[field] = [...new Set(input[field])];
+    }
+  });
+
+  ['lowercase', 'trailingSlash'].forEach(field => {
+    if (input[field] === undefined) return;
+    if (typeof input[field] !== 'boolean') {
+      fail(field, 'Must be a boolean');
+    } else {
+      rules[field] = input[field];
+    }
+  });
+
+  return errors.length > 0 ? { errors } : { rules };
+}
+
+// Rules are compiled once per distinct rule set and shared between requests
+function compile(rules) {
+  const key = JSON.stringify(rules);
+  let result = compiled.get(key);
+  if (result) return result;
+
+  result = {
+    queryParams: new Set(rules.queryParams || []),
+    lowercase: rules.lowercase === true,
+    trailingSlash: rules.trailingSlash === true,
+    patterns: (rules.patterns || []).map(pattern => ({
+      regExp: patternToRegExp(pattern, rules.lowercase === true),
+      replacement: rules.lowercase === true ? pattern.toLowerCase() : pattern
+    })),
+    exclude: (rules.exclude || []).map(pattern => patternToRegExp(pattern, rules.lowercase === true))
+  };
+
+  if (compiled.size >= MAX_COMPILED) compiled.clear();
+  compiled.set(key, result);
+  return result;
+}
+
+function splitQuery(value) {
+  const index = value.indexOf('?');
+  return index === -1 ? [value, ''] : [value.substring(0, index), value.substring(index + 1)];
+}
+
+// Returns the path to store, or null when the path is excluded. The query
+// string may be part of `path` (server events, stored history) or sent
+// separately as `search` by the tracker.
+export function normalizePath(path, search = null, rules = DEFAULT_PATH_RULES) {
+  const { queryParams, lowercase, trailingSlash, patterns, exclude } = compile(rules || DEFAULT_PATH_RULES);
+  const raw = path || '/';
+
+  // With hash routing the route after "#" is part of the path and may carry
+  // a query string of its own
+  const hashIndex = raw.indexOf('#');
+  const [pathname, pathQuery] = splitQuery(hashIndex === -1 ? raw : raw.substring(0, hashIndex));
+  const [hashRoute, hashQuery] = hashIndex === -1 ? [null, ''] : splitQuery(raw.substring(hashIndex + 1));
+  const query = [pathQuery, hashQuery, typeof search === 'string' ? search.replace(/^\?/, '') : '']
+    .filter(Boolean)
+    .join('&');
+
+  let route = (pathname || '/') + (hashRoute === null ? '' : `#${hashRoute}`);
+  if (lowercase) route = route.toLowerCase();
+  if (trailingSlash) route = route.replace(/(.)\/+$/, '$1').replace(/(.)\/+#/, '$1#');
+
+  if (exclude.some(regExp => regExp.test(route))) return null;
+
+  const pattern = patterns.find(({ regExp }) => regExp.test(route));
+  if (pattern) route = pattern.replacement;
+
+  if (queryParams.size === 0 || !query) return route;
+
+  // Kept parameters are sorted so their order in the URL doesn't split counts
+  const kept = [...new URLSearchParams(query)]
+    .filter(([name]) => queryParams.has(name))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+  return kept.length > 0 ? `${route}?${new URLSearchParams(kept).toString()}` : route;
+}
+
+// Rewrites a website's stored page views and sessions with its current rules.
+// Events on excluded paths are deleted. Returns the number of distinct paths
+// rewritten and the rows updated and deleted; options.onProgress receives the
+// same counts, plus rows scanned and paths checked, as the rewrite goes.
+export async function reapplyPathRules(supabase, siteId, rules, options = {}) {
+  const pageSize = options.pageSize || 1000;
+  const onProgress = options.onProgress || (() => {});
+  const paths = new Set();
+  let scanned = 0;
+
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supabase
+      .from('page_views')
+      .select('path')
+      .eq('site_id', siteId)
+      .order('id', { ascending: true })
+      .range(from, from + pageSize - 1);
+
+    if (error) throw new Error(error.message);
+    (data || []).forEach(row => paths.add(row.path));
+    scanned += (data || []).length;
+    onProgress({ phase: 'scanning', scanned, distinctPaths: paths.size, checked: 0, paths: 0, updated: 0, deleted: 0 });
+    if (!data || data.length < pageSize) break;
+  }
+
+  const result = { paths: 0, updated: 0, deleted: 0 };
+  let checked = 0;
+
+  for (const path of paths) {
+    checked++;
+    if (checked % 50 === 0) {
+      onProgress({ phase: 'rewriting', scanned, distinctPaths: paths.size, checked, ...result });
+    }
+    if (path === null || path === undefined) continue;
+    const normalized = normalizePath(path, null, rules);
+    if (normalized === path) continue;
+
+    const query = normalized === null
+      ? supabase.from('page_views').delete({ count: 'exact' })
+      : supabase.from('page_views').update({ path: normalized }, { count: 'exact' });
+    const { count, error } = await query.eq('site_id', siteId).eq('path', path);
+    if (error) throw new Error(error.message);
+
+    result.paths++;
+    result[normalized === null ? 'deleted' : 'updated'] += count || 0;
+
+    // Sessions keep whatever entry and exit page they had if it was excluded
+    if (normalized !== null) {
+      for (const column of ['entry_page', 'exit_page']) {
+        const { error: sessionError } = await supabase
+          .from('sessions')
+          .update({ [column]: normalized })
+          .eq('site_id', siteId)
+          .eq(column, path);
+        if (sessionError) throw new Error(sessionError.message);
+      }
+    }
+  }
+
+  return result;
+}
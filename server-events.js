@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import { BUILT_IN_EVENT_TYPES } from './event-properties.js';
+import { ECOMMERCE_EVENT_TYPES, validateEcommerce } from './ecommerce.js';
+
+// Events sent by a website's own servers, e.g. payment confirmations, through
+// the authenticated events API. They carry their own visitor or user ID and
+// timestamp; custom data goes in `properties`. E-commerce events (view_item,
+// add_to_cart, begin_checkout, purchase) carry their order data in `ecommerce`.
+
+const MAX_AGE_DAYS = parseInt(process.env.SERVER_EVENT_MAX_AGE_DAYS) || 30;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_ID_LENGTH = 128;
+const MAX_URL_LENGTH = 2048;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+const EVENT_TYPE_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/;
+
+export const SERVER_EVENT_FIELDS = new Set([
+  'eventType',
+  'visitorId',
+  'userId',
+  'sessionId',
+  'timestamp',
+  'path',
+  'referrer',
+  'utmSource',
+  'utmMedium',
+  'utmCampaign',
+  'properties',
+  'ecommerce',
+  'idempotencyKey'
+]);
+
+// Idempotency keys are hashed into the event ID used to drop repeated events,
+// so callers can use keys of any format without clashing with tracker IDs
+export function serverEventId(idempotencyKey) {
+  return `k-${crypto.createHash('sha256').update(idempotencyKey).digest('hex').substring(0, 40)}`;
+}
+
+function isOptionalString(value, maxLength) {
+  return value === undefined || value === null || (typeof value === 'string' && value.length <= maxLength);
+}
+
+function parseTimestamp(value) {
+  if (typeof value === 'number') return new Date(value);
+  if (typeof value === 'string' && value.trim() !== '') return new Date(value);
+  return null;
+}
+
+// Returns { event } ready for buildPageViewRow, or { errors: [{ field, message }] }
+export function validateServerEvent(event, defaults = {}) {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return { errors: [{ field: null, message: 'Event must be an object' }] };
+  }
+
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  Object.keys(event)
+    .filter(field => !SERVER_EVENT_FIELDS.has(field))
+    .forEach(field => fail(field, 'Unknown field; send custom data in properties'));
+
+  const { eventType, visitorId, userId, sessionId, timestamp, path, referrer, properties } = event;
+  const idempotencyKey = event.idempotencyKey ?? defaults.idempotencyKey;
+
+  if (typeof eventType !== 'string' || !EVENT_TYPE_PATTERN.test(eventType)) {
+    fail('eventType', 'Required; 1-64 letters, digits, or _ . : -');
+  } else if (BUILT_IN_EVENT_TYPES.includes(eventType)) {
+    fail('eventType', `"${eventType}" is reserved for the browser tracker`);
+  }
+
+  const hasVisitorId = typeof visitorId === 'string' && visitorId.length > 0;
+  const hasUserId = (typeof userId === 'string' && userId.length > 0) || Number.isInteger(userId);
+  if (!hasVisitorId && !hasUserId) {
+    fail('visitorId', 'Either visitorId or userId is required');
+  }
+  if (visitorId !== undefined && (!hasVisitorId || visitorId.length > MAX_ID_LENGTH)) {
+    fail('visitorId', `Must be a non-empty string of at most ${MAX_ID_LENGTH} characters`);
+  }
+  if (userId !== undefined && (!hasUserId || String(userId).length > MAX_ID_LENGTH)) {
+    fail('userId', `Must be a non-empty string or integer of at most ${MAX_ID_LENGTH} characters`);
+  }
+
+  let createdAt = new Date();
+  if (timestamp !== undefined) {
+    createdAt = parseTimestamp(timestamp);
+    if (!createdAt || isNaN(createdAt.getTime())) {
+      fail('timestamp', 'Must be an ISO 8601 string or milliseconds since the epoch');
+    } else if (createdAt.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+      fail('timestamp', 'Must not be in the future');
+    } else if (createdAt.getTime() < Date.now() - MAX_AGE_DAYS * 24 * 60 * 60 * 1000) {
+      fail('timestamp', `Must be within the last ${MAX_AGE_DAYS} days`);
+    }
+  }
+
+  if (!isOptionalString(sessionId, 64)) {
+    fail('sessionId', 'Must be a string of at most 64 characters');
+  }
+  if (path !== undefined && (typeof path !== 'string' || !path.startsWith('/') || path.length > MAX_URL_LENGTH)) {
+    fail('path', `Must be a string starting with "/" of at most ${MAX_URL_LENGTH} characters`);
+  }
+  if (!isOptionalString(referrer, MAX_URL_LENGTH)) {
+    fail('referrer', `Must be a string of at most ${MAX_URL_LENGTH} characters`);
+  }
+  ['utmSource', 'utmMedium', 'utmCampaign'].forEach(field => {
+    if (!isOptionalString(event[field], 255)) {
+      fail(field, 'Must be a string of at most 255 characters');
+    }
+  });
+  let ecommerce;
+  if (ECOMMERCE_EVENT_TYPES.includes(eventType)) {
+    const result = validateEcommerce(eventType, event.ecommerce);
+    ecommerce = result.ecommerce;
+    (result.errors || []).forEach(error => fail(error.field, error.message));
+  } else if (event.ecommerce !== undefined) {
+    fail('ecommerce', `Only allowed for ${ECOMMERCE_EVENT_TYPES.join(', ')} events`);
+  }
+
+  if (properties !== undefined && (properties === null || typeof properties !== 'object' || Array.isArray(properties))) {
+    fail('properties', 'Must be an object');
+  }
+  if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || idempotencyKey.length === 0 || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
+    fail('idempotencyKey', `Must be a non-empty string of at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    event: {
+      eventType,
+      visitorId: hasVisitorId ? visitorId : `u-${userId}`,
+      userId: hasUserId ? String(userId) : null,
+      sessionId: sessionId || undefined,
+      path: path || '/',
+      referrer: referrer || 'direct',
+      utmSource: event.utmSource || undefined,
+      utmMedium: event.utmMedium || undefined,
+      utmCampaign: event.utmCampaign || undefined,
+      properties: properties || undefined,
+      ecommerce,
+      // Without an idempotency key a purchase is still only stored once per order
+      eventId: idempotencyKey
+        ? serverEventId(idempotencyKey)
+        : eventType === 'purchase' ? serverEventId(`order:${ecommerce.orderId}`) : undefined,
+      timestamp: createdAt.getTime()
+    }
+  };
+}
@@ -0,0 +1,323 @@
+import { v4 as uuidv4 } from 'uuid';
+import { isEngagementEvent } from './event-properties.js';
+
+// Sessions are stitched together as events arrive and kept in the `sessions`
+// table. The tracker sends a session ID when it can use sessionStorage;
+// otherwise (cookieless mode, before consent) events are attached to the
+// visitor's latest session if it was active within the timeout.
+//
+// Events for one session can reach different server processes, so each
+// process only writes what it saw since its last flush and record_sessions
+// (see FUNCTION_MIGRATIONS in index.js) merges it into the stored row.
+
+const FLUSH_INTERVAL = parseInt(process.env.SESSION_FLUSH_INTERVAL_MS) || 10000;
+const BATCH_SIZE = 500;
+export const SESSION_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Sessions stay in memory a while after their last event so late heartbeats
+// and exits don't need a database read
+const RETAIN_MS = 2 * SESSION_TIMEOUT_MS;
+
+function hostname(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+// Where the session came from: UTM source, then ad click IDs, then the
+// external referrer
+function sessionSource(row) {
+  if (row.utm_source) return row.utm_source;
+  if (row.gclid) return 'google';
+  if (row.fbclid) return 'facebook';
+  if (row.msclkid) return 'bing';
+
+  const referrer = row.referrer && row.referrer !== 'direct' ? hostname(row.referrer) : null;
+  if (referrer && referrer !== String(row.site_id).replace(/^www\./, '')) return referrer;
+  return 'direct';
+}
+
+function campaignKey(row) {
+  return [row.utm_source, row.utm_medium, row.utm_campaign, row.gclid || row.fbclid || row.msclkid]
+    .map(value => value || '')
+    .join('|');
+}
+
+function hasCampaign(row) {
+  return Boolean(row.utm_source || row.utm_medium || row.utm_campaign || row.gclid || row.fbclid || row.msclkid);
+}
+
+class SessionTracker {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.sessions = new Map();
+    this.latestByVisitor = new Map();
+    this.flushing = false;
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      this.flush().catch(error => console.error('Session flush error:', error));
+    }, FLUSH_INTERVAL);
+    this.timer.unref();
+  }
+
+  // Returns the session ID for an event row, starting a new session if needed
+  async resolve(row) {
+    const at = new Date(row.created_at).getTime();
+    const visitorKey = `${row.site_id}|${row.visitor_id}`;
+
+    if (row.session_id) {
+      const sessionId = String(row.session_id).substring(0, 64);
+      this.ensure(row.site_id, sessionId, row.visitor_id, at);
+      this.latestByVisitor.set(visitorKey, `${row.site_id}|${sessionId}`);
+      return sessionId;
+    }
+
+    let latest = this.sessions.get(this.latestByVisitor.get(visitorKey));
+    if (!latest) {
+      latest = await this.loadLatest(row.site_id, row.visitor_id, at);
+    }
+
+    // A new campaign starts a new session, just like a long pause
+    const campaignChanged = latest && hasCampaign(row) && latest.campaignKey !== null && latest.campaignKey !== campaignKey(row);
+    if (latest && !campaignChanged && Math.abs(at - latest.lastActivityAt) <= SESSION_TIMEOUT_MS) {
+      return latest.session_id;
+    }
+
+    const sessionId = `s-${uuidv4()}`;
+    this.ensure(row.site_id, sessionId, row.visitor_id, at);
+    this.latestByVisitor.set(visitorKey, `${row.site_id}|${sessionId}`);
+    return sessionId;
+  }
+
+  ensure(siteId, sessionId, visitorId, at) {
+    const key = `${siteId}|${sessionId}`;
+    if (!this.sessions.has(key)) {
+      this.sessions.set(key, {
+        site_id: siteId,
+        session_id: sessionId,
+        visitor_id: visitorId,
+        startedAt: at,
+        lastActivityAt: at,
+        entryAt: null,
+        exitAt: null,
+        entry_page: null,
+        exit_page: null,
+        // Page views not yet written; the stored row keeps the total
+        newPageviews: 0,
+        interacted: false,
+        source: null,
+        referrer: null,
+        utm_medium: null,
+        utm_campaign: null,
+        campaignKey: null,
+        is_bot: false,
+        cookieless: false,
+        changes: 0,
+        dirty: false
+      });
+    }
+    return this.sessions.get(key);
+  }
+
+  // Sessions still open from before a restart are picked up from the table
+  async loadLatest(siteId, visitorId, at) {
+    if (!this.supabase) return null;
+
+    const { data, error } = await this.supabase
+      .from('sessions')
+      .select('*')
+      .eq('site_id', siteId)
+      .eq('visitor_id', visitorId)
+      .gte('last_activity_at', new Date(at - SESSION_TIMEOUT_MS).toISOString())
+      .order('last_activity_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      console.error('Session lookup error:', error.message);
+      return null;
+    }
+    if (!data || data.length === 0) return null;
+
+    const session = this.ensure(siteId, data[0].session_id, visitorId, at);
+    this.merge(session, data[0]);
+    this.latestByVisitor.set(`${siteId}|${visitorId}`, `${siteId}|${session.session_id}`);
+    return session;
+  }
+
+  // Applies an accepted event (stored or not, e.g. heartbeats) to its session
+  record(row) {
+    if (!row.session_id) return;
+
+    const at = new Date(row.created_at).getTime();
+    const session = this.ensure(row.site_id, row.session_id, row.visitor_id, at);
+
+    session.startedAt = Math.min(session.startedAt, at);
+    session.lastActivityAt = Math.max(session.lastActivityAt, at);
+    session.is_bot = session.is_bot || row.is_bot === true;
+    session.cookieless = session.cookieless || row.cookieless === true;
+    session.interacted = session.interacted || isEngagementEvent(row);
+
+    if (row.event_type === 'pageview') {
+      session.newPageviews++;
+
+      if (session.entryAt === null || at < session.entryAt) {
+        session.entryAt = at;
+        session.entry_page = row.path;
+        session.source = sessionSource(row);
+        session.referrer = row.referrer || 'direct';
+        session.utm_medium = row.utm_medium || null;
+        session.utm_campaign = row.utm_campaign || null;
+        session.campaignKey = campaignKey(row);
+      }
+
+      if (session.exitAt === null || at >= session.exitAt) {
+        session.exitAt = at;
+        session.exit_page = row.path;
+      }
+    }
+
+    session.changes++;
+    session.dirty = true;
+  }
+
+  // Source, campaign and landing page of a session still held in memory,
+  // e.g. to credit a purchase to it
+  getAttribution(siteId, sessionId) {
+    const session = this.sessions.get(`${siteId}|${sessionId}`);
+    if (!session || session.entry_page === null) return null;
+
+    return {
+      source: session.source,
+      utm_medium: session.utm_medium,
+      utm_campaign: session.utm_campaign,
+      entry_page: session.entry_page
+    };
+  }
+
+  // Picks up where a stored session left off, so later events are attached
+  // to it and compared against its entry and exit; its counts stay in the table
+  merge(session, stored) {
+    const storedStart = new Date(stored.started_at).getTime();
+    const storedEnd = new Date(stored.last_activity_at).getTime();
+    const storedEntry = new Date(stored.entered_at || stored.started_at).getTime();
+    const storedExit = new Date(stored.exited_at || stored.last_activity_at).getTime();
+
+    if (stored.entry_page && (session.entryAt === null || storedEntry <= session.entryAt)) {
+      session.entryAt = storedEntry;
+      session.entry_page = stored.entry_page;
+      session.source = stored.source;
+      session.referrer = stored.referrer;
+      session.utm_medium = stored.utm_medium;
+      session.utm_campaign = stored.utm_campaign;
+      session.campaignKey = null;
+    }
+    if (stored.exit_page && (session.exitAt === null || storedExit >= session.exitAt)) {
+      session.exitAt = storedExit;
+      session.exit_page = stored.exit_page;
+    }
+
+    session.startedAt = Math.min(session.startedAt, storedStart);
+    session.lastActivityAt = Math.max(session.lastActivityAt, storedEnd);
+    session.is_bot = session.is_bot || stored.is_bot === true;
+    session.cookieless = session.cookieless || stored.cookieless === true;
+  }
+
+  // What this process saw of the session; everything but the page view count
+  // can be sent again without changing the stored row
+  toUpdate(session) {
+    return {
+      site_id: session.site_id,
+      session_id: session.session_id,
+      visitor_id: session.visitor_id,
+      started_at: new Date(session.startedAt).toISOString(),
+      last_activity_at: new Date(session.lastActivityAt).toISOString(),
+      entered_at: session.entryAt !== null ? new Date(session.entryAt).toISOString() : null,
+      entry_page: session.entry_page,
+      exited_at: session.exitAt !== null ? new Date(session.exitAt).toISOString() : null,
+      exit_page: session.exit_page,
+      pageviews: session.newPageviews,
+      interacted: session.interacted,
+      source: session.source,
+      referrer: session.referrer,
+      utm_medium: session.utm_medium,
+      utm_campaign: session.utm_campaign,
+      is_bot: session.is_bot,
+      cookieless: session.cookieless
+    };
+  }
+
+  async flush() {
+    if (this.flushing) return;
+    this.flushing = true;
+
+    try {
+      const dirty = [...this.sessions.values()].filter(session => session.dirty);
+
+      if (this.supabase) {
+        for (let i = 0; i < dirty.length; i += BATCH_SIZE) {
+          // Events recorded while the write is in flight stay pending
+          const batch = dirty.slice(i, i + BATCH_SIZE).map(session => ({
+            session,
+            pageviews: session.newPageviews,
+            changes: session.changes
+          }));
+
+          const { error } = await this.supabase.rpc('record_sessions', {
+            updates: batch.map(({ session }) => this.toUpdate(session))
+          });
+
+          if (error) {
+            console.error('Session write error:', error.message);
+            continue;
+          }
+
+          batch.forEach(({ session, pageviews, changes }) => {
+            session.newPageviews -= pageviews;
+            if (session.changes === changes) {
+              session.dirty = false;
+            }
+          });
+        }
+      } else {
+        dirty.forEach(session => {
+          session.newPageviews = 0;
+          session.dirty = false;
+        });
+      }
+
+      this.evict();
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  evict() {
+    const cutoff = Date.now() - RETAIN_MS;
+
+    for (const [key, session] of this.sessions) {
+      if (!session.dirty && session.lastActivityAt < cutoff) {
+        this.sessions.delete(key);
+      }
+    }
+    for (const [visitorKey, key] of this.latestByVisitor) {
+      if (!this.sessions.has(key)) {
+        this.latestByVisitor.delete(visitorKey);
+      }
+    }
+  }
+
+  async close() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.flush();
+  }
+}
+
+export default SessionTracker;
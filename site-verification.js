@@ -0,0 +1,190 @@
+import NodeCache from 'node-cache';
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+// Registered websites by domain; misses are cached for a shorter time so a
+// freshly registered site starts tracking within a minute
+const SITE_TTL = 300;
+const MISSING_SITE_TTL = 60;
+
+const DEFAULT_SETTINGS = { privacyMode: 'standard', respectDnt: false, pathRules: null, excludedIps: [] };
+
+function normalizeHost(hostname) {
+  return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+function hostnameFromHeader(value) {
+  if (!value) return null;
+  try {
+    return new URL(value).hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
+function hostMatches(hostname, pattern) {
+  const host = normalizeHost(hostname);
+  if (pattern.startsWith('*.')) {
+    const base = normalizeHost(pattern.substring(2));
+    return host === base || host.endsWith(`.${base}`);
+  }
+  return host === normalizeHost(pattern);
+}
+
+// Verifies that tracking events belong to a registered website and were sent
+// from one of its hostnames, and counts rejected and excluded events for
+// diagnostics
+class SiteVerifier {
+  constructor(supabase, options = {}) {
+    this.supabase = supabase;
+    this.cache = new NodeCache({ stdTTL: SITE_TTL, checkperiod: 120 });
+    this.verifyOrigin = options.verifyOrigin ?? process.env.TRACK_VERIFY_ORIGIN !== 'false';
+    this.requireTrackingCode = options.requireTrackingCode ?? process.env.TRACK_REQUIRE_TRACKING_CODE === 'true';
+    this.allowLocalhost = options.allowLocalhost ?? !isProduction;
+
+    this.since = new Date().toISOString();
+    this.rejections = {};
+    this.siteRejections = {};
+    this.siteExclusions = {};
+  }
+
+  // Registered domains are stored lower case (see POST /api/websites); an
+  // exact match keeps "%" or "_" in an untrusted siteId from matching other sites
+  async getSite(domain) {
+    const key = domain.trim().toLowerCase();
+    const cached = this.cache.get(key);
+    if (cached !== undefined) return cached;
+
+    const { data: websites, error } = await this.supabase
+      .from('websites')
+      .select('id, userId, domain, aliases, privacy_mode, respect_dnt, path_rules, excluded_ips')
+      .eq('domain', key);
+
+    if (error) {
+      // Fail open on lookup errors so a database hiccup doesn't drop real traffic
+      console.error('Site verification lookup error:', error.message);
+      return { domain: key, aliases: [], trackingCodes: null, ...DEFAULT_SETTINGS };
+    }
+
+    if (!websites || websites.length === 0) {
+      this.cache.set(key, false, MISSING_SITE_TTL);
+      return false;
+    }
+
+    // The same domain can be registered by more than one user
+    const ownerIds = [...new Set(websites.map(website => website.userId))];
+    const { data: profiles } = await this.supabase
+      .from('profiles')
+      .select('id, tracking_code')
+      .in('id', ownerIds);
+
+    // When several owners disagree on privacy settings the strictest one applies
+    const site = {
+      domain: key,
+      aliases: [...new Set(websites.flatMap(website => website.aliases || []))],
+      trackingCodes: (profiles || []).map(profile => profile.tracking_code).filter(Boolean),
+      privacyMode: websites.some(website => website.privacy_mode === 'cookieless') ? 'cookieless' : 'standard',
+      respectDnt: websites.some(website => website.respect_dnt === true),
+      // Path rules can't be merged, so the first owner to set them wins
+      pathRules: websites.map(website => website.path_rules).find(Boolean) || null,
+      excludedIps: [...new Set(websites.flatMap(website => website.excluded_ips || []))]
+    };
+
+    this.cache.set(key, site);
+    return site;
+  }
+
+  // Privacy and path settings for ingestion; unregistered sites get the defaults
+  async getSettings(domain) {
+    if (!this.supabase || !domain) return DEFAULT_SETTINGS;
+
+    try {
+      const site = await this.getSite(String(domain));
+      return site
+        ? { privacyMode: site.privacyMode, respectDnt: site.respectDnt, pathRules: site.pathRules, excludedIps: site.excludedIps }
+        : DEFAULT_SETTINGS;
+    } catch (error) {
+      console.error('Site settings lookup error:', error.message);
+      return DEFAULT_SETTINGS;
+    }
+  }
+
+  invalidate(domain) {
+    this.cache.del(domain.toLowerCase());
+  }
+
+  // Returns null when the event is accepted, otherwise the rejection reason
+  async verify(event, headers = {}) {
+    if (!this.supabase) return null;
+
+    const site = await this.getSite(String(event.siteId));
+    if (!site) {
+      return this.reject('unregistered-site');
+    }
+
+    if (site.trackingCodes && site.trackingCodes.length > 0) {
+      if (event.trackingCode && !site.trackingCodes.includes(event.trackingCode)) {
+        return this.reject('invalid-tracking-code', site.domain);
+      }
+      if (!event.trackingCode && this.requireTrackingCode) {
+        return this.reject('missing-tracking-code', site.domain);
+      }
+    }
+
+    if (this.verifyOrigin) {
+      const hostname = hostnameFromHeader(headers.origin) || hostnameFromHeader(headers.referer);
+
+      if (!hostname) {
+        return this.reject('missing-origin', site.domain);
+      }
+
+      const isLocalhost = hostname === 'localhost' || hostname === '127.0.0.1';
+      const allowed = (isLocalhost && this.allowLocalhost) ||
+        [site.domain, ...site.aliases].some(pattern => hostMatches(hostname, pattern));
+
+      if (!allowed) {
+        return this.reject('origin-mismatch', site.domain);
+      }
+    }
+
+    return null;
+  }
+
+  reject(reason, domain = null) {
+    this.rejections[reason] = (this.rejections[reason] || 0) + 1;
+
+    // Per-site counts are only kept for registered sites so the map stays bounded
+    if (domain) {
+      if (!this.siteRejections[domain]) {
+        this.siteRejections[domain] = {};
+      }
+      this.siteRejections[domain][reason] = (this.siteRejections[domain][reason] || 0) + 1;
+    }
+
+    return reason;
+  }
+
+  // Events a site's own rules filtered out, e.g. internal traffic, so owners
+  // can see the rules working even though nothing is stored
+  exclude(reason, domain) {
+    const key = String(domain).toLowerCase();
+    if (!this.siteExclusions[key]) {
+      this.siteExclusions[key] = {};
+    }
+    this.siteExclusions[key][reason] = (this.siteExclusions[key][reason] || 0) + 1;
+  }
+
+  getStats(domain = null) {
+    if (domain) {
+      const key = domain.toLowerCase();
+      return {
+        since: this.since,
+        rejected: { ...(this.siteRejections[key] || {}) },
+        excluded: { ...(this.siteExclusions[key] || {}) }
+      };
+    }
+    return { since: this.since, rejected: { ...this.rejections } };
+  }
+}
+
+export default SiteVerifier;
@@ -5,7 +5,7 @@ const backendUrl = 'http://localhost:3001';
 async function sendTrackingEvent(siteId, visitorId, path) {
   const response = await fetch(`${backendUrl}/track`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json', 'x-user-id': 'test-user' },
+    headers: { 'Content-Type': 'application/json', 'Origin': `https://${siteId}` },
     body: JSON.stringify({
       siteId,
       visitorId,
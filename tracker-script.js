@@ -0,0 +1,64 @@
+import { minify } from 'terser';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// tracker.js is the only copy of the tracker; it is minified once at startup
+// and served from a content-hashed URL plus the stable /tracker.js alias
+const sourcePath = process.env.TRACKER_SOURCE_PATH || path.join(__dirname, 'tracker.js');
+
+// Attributes read by the tracker from its <script> tag
+export const SCRIPT_ATTRIBUTES = [
+  'data-site-id',
+  'data-tracking-code',
+  'data-api',
+  'data-exclude-paths',
+  'data-hash-routing',
+  'data-respect-dnt',
+  'data-auto-outbound',
+  'data-auto-downloads',
+  'data-cookieless',
+  'data-require-consent',
+  'data-consent-fallback',
+  'data-cross-domain'
+];
+
+let current = null;
+
+export async function loadTrackerScript() {
+  const source = await fs.readFile(sourcePath, 'utf8');
+
+  let code = source;
+  try {
+    const result = await minify(source, { format: { comments: false } });
+    code = result.code;
+  } catch (error) {
+    console.error('❌ Tracker minification failed, serving it unminified:', error.message);
+  }
+
+  const body = Buffer.from(code);
+  const version = crypto.createHash('sha256').update(body).digest('hex').substring(0, 12);
+
+  current = {
+    body,
+    version,
+    fileName: `tracker.${version}.js`,
+    etag: `"${version}"`,
+    integrity: `sha384-${crypto.createHash('sha384').update(body).digest('base64')}`,
+    size: body.length,
+    sourceSize: Buffer.byteLength(source),
+    builtAt: new Date().toISOString()
+  };
+
+  console.log(`✅ Tracker script built: ${current.fileName} (${current.size} bytes, ${current.sourceSize} unminified)`);
+  return current;
+}
+
+// Null until loadTrackerScript() has finished
+export function getTrackerScript() {
+  return current;
+}
@@ -1,100 +1,1005 @@
 (function() {
   'use strict';
 
-  // Don't run on localhost or if in an iframe
-  if (window.location.hostname === 'localhost' || 
-      window.location.hostname === '127.0.0.1' ||
-      window.self !== window.top) {
+  const config = {
+    trackEngagement: true,
+    trackPageExit: true,
+    trackScrollDepth: true,
+    trackPerformance: true,
+    trackErrors: true,
+    maxErrorsPerPageview: 5,
+    flushInterval: 5000,
+    maxQueueSize: 10,
+    // The server rejects larger batches (MAX_BATCH_EVENTS)
+    maxBatchEvents: 50,
+    heartbeatInterval: 15000,
+    idleTimeout: 30000,
+    sessionTimeout: 30 * 60 * 1000
+  };
+
+  if (window.self !== window.top) {
     return;
   }
 
   const script = document.currentScript;
   const siteId = script?.getAttribute('data-site-id');
-  const backendUrl = script?.src.replace('/tracker.js', '');
+  const trackingCode = script?.getAttribute('data-tracking-code');
 
-  if (!siteId || !backendUrl) {
-    console.error('Insight AI: Missing required attributes.');
+  if (!siteId) {
+    console.error('Insight AI: Missing data-site-id attribute.');
     return;
   }
 
-  // Generate or retrieve visitor ID
-  let visitorId = localStorage.getItem('insight_ai_visitor_id');
-  if (!visitorId) {
-    visitorId = 'v2-' + Math.random().toString(36).substr(2, 9) + 
-                Date.now().toString(36);
-    try {
-      localStorage.setItem('insight_ai_visitor_id', visitorId);
-    } catch (e) {
-      // Fallback to session storage if localStorage fails
-      sessionStorage.setItem('insight_ai_visitor_id', visitorId);
+  // Self-exclusion for a site's own staff: visiting any page with
+  // ?insight_ai_ignore=1 stops tracking in this browser, ?insight_ai_ignore=0
+  // turns it back on
+  try {
+    const ignore = new URLSearchParams(window.location.search).get('insight_ai_ignore');
+    if (ignore === '1') {
+      localStorage.setItem('insight_ai_ignore', '1');
+    } else if (ignore === '0') {
+      localStorage.removeItem('insight_ai_ignore');
+    }
+    if (localStorage.getItem('insight_ai_ignore') === '1') {
+      console.log('Insight AI: Tracking disabled in this browser (insight_ai_ignore).');
+      return;
     }
+  } catch (e) {
+    // Storage unavailable; the flag can't be set or read
   }
 
-  // Collect page data
+  // Events go back to the server the script was loaded from unless data-api
+  // points somewhere else, e.g. a first-party proxy
+  config.backendUrl = (script.getAttribute('data-api') || (script.src ? new URL(script.src).origin : '')).replace(/\/+$/, '');
+  if (!config.backendUrl) {
+    console.error('Insight AI: Missing data-api attribute.');
+    return;
+  }
+
+  // Treat #/route changes as page views for hash-based routers
+  config.hashRouting = script.getAttribute('data-hash-routing') === 'true';
+
+  // Carry the visitor across the owner's linked domains, e.g. a shop and its
+  // checkout, with a signed token on the links between them
+  config.crossDomain = script.getAttribute('data-cross-domain') === 'true';
+
+  // Opt-in click tracking for links to other sites and to downloadable files
+  config.trackOutbound = script.getAttribute('data-auto-outbound') === 'true';
+  config.trackDownloads = script.getAttribute('data-auto-downloads') === 'true';
+
+  function getPath() {
+    return config.hashRouting && window.location.hash
+      ? window.location.pathname + window.location.hash
+      : window.location.pathname;
+  }
+
+  // Paths that are never tracked, e.g. data-exclude-paths="/admin/*,/preview"
+  const excludedPaths = (script.getAttribute('data-exclude-paths') || '')
+    .split(',')
+    .map(pattern => pattern.trim())
+    .filter(Boolean)
+    .map(pattern => new RegExp('^' + pattern.replace(/[.+?^$()|[\]\\{}]/g, '\\$&').replace(/\*/g, '.*') + '$'));
+
+  function isExcluded(path) {
+    return excludedPaths.some(pattern => pattern.test(path));
+  }
+
+  // Cookieless mode: nothing is stored in the browser and the server derives
+  // a daily visitor ID instead
+  config.cookieless = script.getAttribute('data-cookieless') === 'true';
+
+  // Do-Not-Track and Global Privacy Control, honored when the site opts in
+  config.respectDnt = script.getAttribute('data-respect-dnt') === 'true';
+  if (config.respectDnt && (navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true)) {
+    console.log('Insight AI: Tracking disabled by Do-Not-Track / Global Privacy Control.');
+    return;
+  }
+
+  // With data-require-consent nothing is stored or identified until
+  // insightAI.consent('granted'). Meanwhile events are held in memory, or sent
+  // as cookieless pings with data-consent-fallback="cookieless".
+  config.requireConsent = script.getAttribute('data-require-consent') === 'true';
+  config.consentFallback = script.getAttribute('data-consent-fallback') === 'cookieless' ? 'cookieless' : 'queue';
+  config.maxHeldEvents = 100;
+
+  let consentState = config.requireConsent ? 'pending' : 'not-required';
+  let heldEvents = [];
+
+  function loadVisitorId() {
+    let visitorId = localStorage.getItem('insight_ai_visitor_id');
+    if (!visitorId) {
+      visitorId = 'v2-' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+      try {
+        localStorage.setItem('insight_ai_visitor_id', visitorId);
+      } catch (e) {
+        sessionStorage.setItem('insight_ai_visitor_id', visitorId);
+      }
+    }
+    return visitorId;
+  }
+
+  const identified = !config.cookieless && !config.requireConsent;
+
   const pageData = {
     siteId: siteId,
-    visitorId: visitorId,
-    path: window.location.pathname,
+    visitorId: identified ? loadVisitorId() : null,
+    path: getPath(),
+    // Query parameters are stripped on the server unless the site keeps them
+    search: window.location.search || undefined,
     referrer: document.referrer,
     screenWidth: screen.width,
     screenHeight: screen.height,
     language: navigator.language,
     timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    userAgent: navigator.userAgent,
+    webdriver: navigator.webdriver === true,
     timestamp: Date.now()
   };
 
-  // Send tracking data
-  function sendTracking() {
-    // Use sendBeacon for better performance during page unload
-    if (navigator.sendBeacon) {
-      const blob = new Blob([JSON.stringify(pageData)], { type: 'application/json' });
-      navigator.sendBeacon(backendUrl + '/track', blob);
-    } else {
-      // Fallback to fetch API
-      fetch(backendUrl + '/track', {
-        method: 'POST',
-        body: JSON.stringify(pageData),
-        headers: { 'Content-Type': 'application/json' },
-        keepalive: true // Similar to sendBeacon behavior
-      }).catch(() => { /* Silently fail */ });
+  if (trackingCode) {
+    pageData.trackingCode = trackingCode;
+  }
+
+  if (!identified) {
+    pageData.cookieless = true;
+  }
+
+  // Campaign parameters from the landing URL, kept for the rest of the
+  // session so later page views keep their attribution. Without storage
+  // (cookieless, or before consent) they are kept in memory for this page.
+  const campaignParams = {
+    utm_source: 'utmSource',
+    utm_medium: 'utmMedium',
+    utm_campaign: 'utmCampaign',
+    utm_term: 'utmTerm',
+    utm_content: 'utmContent',
+    gclid: 'gclid',
+    fbclid: 'fbclid',
+    msclkid: 'msclkid'
+  };
+  let campaign = null;
+
+  function canUseStorage() {
+    return !config.cookieless && (!config.requireConsent || consentState === 'granted');
+  }
+
+  function readCampaign() {
+    const params = new URLSearchParams(window.location.search);
+    const found = {};
+    Object.keys(campaignParams).forEach(param => {
+      const value = params.get(param);
+      if (value) {
+        found[campaignParams[param]] = value.substring(0, 200);
+      }
+    });
+    return Object.keys(found).length > 0 ? found : null;
+  }
+
+  function saveCampaign() {
+    if (!campaign || !canUseStorage()) return;
+    try {
+      sessionStorage.setItem('insight_ai_campaign', JSON.stringify(campaign));
+    } catch (e) {
+      // Storage unavailable; attribution lasts while the page is open
+    }
+  }
+
+  // A new campaign in the URL replaces the one kept for the session
+  function updateCampaign() {
+    const found = readCampaign();
+    if (found) {
+      campaign = found;
+      saveCampaign();
+    } else if (!campaign && canUseStorage()) {
+      try {
+        campaign = JSON.parse(sessionStorage.getItem('insight_ai_campaign') || 'null');
+      } catch (e) {
+        campaign = null;
+      }
+    }
+
+    Object.values(campaignParams).forEach(field => {
+      delete pageData[field];
+    });
+    Object.assign(pageData, campaign || {});
+  }
+
+  updateCampaign();
+
+  // Session ID kept in sessionStorage, renewed after 30 minutes without events
+  // or when the visitor comes back through a different campaign. Without
+  // storage the server stitches sessions together instead.
+  let session = null;
+
+  function campaignKey() {
+    if (!campaign) return '';
+    return [campaign.utmSource, campaign.utmMedium, campaign.utmCampaign, campaign.gclid || campaign.fbclid || campaign.msclkid]
+      .map(value => value || '')
+      .join('|');
+  }
+
+  function getSessionId() {
+    const now = Date.now();
+
+    if (!session) {
+      try {
+        session = JSON.parse(sessionStorage.getItem('insight_ai_session') || 'null');
+      } catch (e) {
+        session = null;
+      }
+    }
+
+    const campaignChanged = session && campaign && session.campaign !== campaignKey();
+    if (!session || campaignChanged || now - session.lastActivity > config.sessionTimeout) {
+      session = {
+        id: 's-' + Math.random().toString(36).substr(2, 9) + now.toString(36),
+        campaign: campaignKey()
+      };
+    }
+
+    session.lastActivity = now;
+    try {
+      sessionStorage.setItem('insight_ai_session', JSON.stringify(session));
+    } catch (e) {
+      // Storage unavailable; the session lasts while the page is open
+    }
+    return session.id;
+  }
+
+  // Ties heartbeats and the exit event back to the page view they belong to
+  function newPageviewId() {
+    return 'pv-' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+  pageData.pageviewId = newPageviewId();
+
+  // Lets the server drop events it has already received when they are retried
+  function newEventId() {
+    return 'e-' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  }
+
+  // Events that could not be delivered are kept with their original
+  // timestamps and retried with backoff, on the next page load or when the
+  // browser comes back online. Without storage they are only kept in memory.
+  const retryKey = 'insight_ai_retry';
+  config.maxRetryEvents = 200;
+  config.maxRetryAge = 24 * 60 * 60 * 1000;
+  config.maxRetryBatch = 25;
+  config.retryDelay = 5000;
+  config.maxRetryDelay = 5 * 60 * 1000;
+
+  let memoryRetry = { events: [], attempts: 0, retryAt: 0 };
+  let retryTimer = null;
+  let retrying = false;
+
+  // Bounded, and old events are dropped rather than retried forever
+  function pruneRetryQueue(state) {
+    const cutoff = Date.now() - config.maxRetryAge;
+    state.events = state.events.filter(event => event.timestamp >= cutoff).slice(-config.maxRetryEvents);
+    return state;
+  }
+
+  function readRetryQueue() {
+    if (!canUseStorage()) return memoryRetry;
+
+    let stored = null;
+    try {
+      stored = JSON.parse(localStorage.getItem(retryKey));
+    } catch (e) {
+      // Storage unavailable or corrupted
+    }
+    const state = stored && Array.isArray(stored.events) ? stored : { events: [], attempts: 0, retryAt: 0 };
+
+    // Picked up from memory once storage may be used, e.g. after consent
+    if (memoryRetry.events.length > 0) {
+      state.events = memoryRetry.events.concat(state.events);
+      memoryRetry = { events: [], attempts: 0, retryAt: 0 };
+    }
+    return pruneRetryQueue(state);
+  }
+
+  function writeRetryQueue(state) {
+    pruneRetryQueue(state);
+
+    if (!canUseStorage()) {
+      memoryRetry = state;
+      return;
+    }
+    try {
+      if (state.events.length > 0) {
+        localStorage.setItem(retryKey, JSON.stringify(state));
+      } else {
+        localStorage.removeItem(retryKey);
+      }
+    } catch (e) {
+      memoryRetry = state;
+    }
+  }
+
+  function saveForRetry(events) {
+    const state = readRetryQueue();
+    const known = {};
+    state.events.forEach(event => {
+      known[event.eventId] = true;
+    });
+
+    state.events = state.events.concat(events.filter(event => !known[event.eventId]));
+    state.attempts = (state.attempts || 0) + 1;
+    state.retryAt = Date.now() + Math.min(config.retryDelay * Math.pow(2, state.attempts - 1), config.maxRetryDelay);
+    writeRetryQueue(state);
+    scheduleRetry(state);
+  }
+
+  function scheduleRetry(state) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    if (state.events.length === 0) return;
+
+    // While offline the 'online' event triggers the next attempt instead
+    if (navigator.onLine === false) return;
+    retryTimer = setTimeout(retryFailed, Math.max(state.retryAt - Date.now(), 0));
+  }
+
+  function retryFailed() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    if (retrying) return;
+
+    const state = readRetryQueue();
+    if (state.events.length === 0) return;
+    if (state.retryAt > Date.now() || navigator.onLine === false) {
+      scheduleRetry(state);
+      return;
+    }
+
+    retrying = true;
+    const batch = state.events.slice(0, config.maxRetryBatch);
+
+    post(batch, false, function(delivered) {
+      retrying = false;
+      if (!delivered) {
+        saveForRetry(batch);
+        return;
+      }
+
+      const sent = {};
+      batch.forEach(event => {
+        sent[event.eventId] = true;
+      });
+      const current = readRetryQueue();
+      current.events = current.events.filter(event => !sent[event.eventId]);
+      current.attempts = 0;
+      current.retryAt = 0;
+      writeRetryQueue(current);
+      scheduleRetry(current);
+    });
+  }
+
+  // sendBeacon is used when the page is going away, so the request survives
+  // it; its result only says whether the browser accepted the request
+  function post(events, unloading, callback) {
+    const url = config.backendUrl + '/track/batch';
+    const payload = JSON.stringify({ events: events });
+
+    if (navigator.onLine === false) {
+      callback(false);
+      return;
+    }
+
+    if ((unloading || !window.fetch) && navigator.sendBeacon) {
+      let accepted = false;
+      try {
+        accepted = navigator.sendBeacon(url, new Blob([payload], { type: 'application/json' }));
+      } catch (e) {
+        // Payload too large or beacons unavailable
+      }
+      callback(accepted);
+      return;
+    }
+
+    fetch(url, {
+      method: 'POST',
+      body: payload,
+      headers: { 'Content-Type': 'application/json' },
+      keepalive: true
+    }).then(function(response) {
+      // Events the server rejected would be rejected again, so only server
+      // errors, rate limiting and oversized batches (retried in smaller
+      // batches) are retried
+      callback(response.status < 500 && response.status !== 429 && response.status !== 413);
+    }).catch(function() {
+      callback(false);
+    });
+  }
+
+  let queue = [];
+  let flushTimer = null;
+
+  function flush(unloading) {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (queue.length === 0) return;
+
+    // Events held until consent can be more than one batch
+    for (let i = 0; i < queue.length; i += config.maxBatchEvents) {
+      sendBatch(queue.slice(i, i + config.maxBatchEvents), unloading === true);
+    }
+    queue = [];
+  }
+
+  function sendBatch(events, unloading) {
+    post(events, unloading, function(delivered) {
+      if (!delivered) {
+        saveForRetry(events);
+      } else if (memoryRetry.events.length > 0 || retryTimer) {
+        // The connection is back; don't wait out the backoff
+        const state = readRetryQueue();
+        state.retryAt = 0;
+        writeRetryQueue(state);
+        retryFailed();
+      }
+    });
+  }
+
+  window.addEventListener('online', function() {
+    const state = readRetryQueue();
+    state.retryAt = 0;
+    writeRetryQueue(state);
+    retryFailed();
+  });
+
+  setTimeout(retryFailed, 2000);
+
+  // Cross-domain linking: a visitor arriving from a linked domain has a token
+  // in the URL, which the server exchanges for the visitor and session IDs it
+  // carries. The token is removed from the address bar straight away.
+  const linkerParam = '_ia_link';
+  let linker = null;
+  let linkerTimer = null;
+
+  function adoptLinkedVisitor() {
+    const params = new URLSearchParams(window.location.search);
+    const token = params.get(linkerParam);
+    if (!token) return Promise.resolve();
+
+    params.delete(linkerParam);
+    const search = params.toString() ? '?' + params.toString() : '';
+    try {
+      history.replaceState(history.state, '', window.location.pathname + search + window.location.hash);
+    } catch (e) {
+      // Some sandboxed pages can't rewrite the URL
+    }
+    pageData.search = search || undefined;
+
+    if (!canUseStorage() || !window.fetch) return Promise.resolve();
+
+    return fetch(config.backendUrl + '/track/linker/adopt', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ siteId: siteId, trackingCode: trackingCode || undefined, token: token })
+    })
+      .then(response => response.ok ? response.json() : null)
+      .then(result => {
+        if (!result || !result.visitorId) return;
+
+        pageData.visitorId = result.visitorId;
+        try {
+          localStorage.setItem('insight_ai_visitor_id', result.visitorId);
+        } catch (e) {
+          // Storage unavailable; the visitor is carried for this page only
+        }
+
+        if (result.sessionId) {
+          session = { id: result.sessionId, campaign: campaignKey(), lastActivity: Date.now() };
+          try {
+            sessionStorage.setItem('insight_ai_session', JSON.stringify(session));
+          } catch (e) {
+            // Storage unavailable
+          }
+        }
+      })
+      .catch(() => {});
+  }
+
+  // Tokens are short-lived, so one is kept ready and renewed at half its
+  // lifetime while the page is visible
+  function refreshLinker() {
+    clearTimeout(linkerTimer);
+    linkerTimer = null;
+    if (!config.crossDomain || !canUseStorage() || !window.fetch || !pageData.visitorId) return;
+
+    if (document.visibilityState !== 'visible') {
+      linker = linker && Date.now() < linker.expiresAt ? linker : null;
+      return;
     }
+
+    fetch(config.backendUrl + '/track/linker', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        siteId: siteId,
+        trackingCode: trackingCode || undefined,
+        visitorId: pageData.visitorId,
+        sessionId: session ? session.id : undefined
+      })
+    })
+      .then(response => response.ok ? response.json() : null)
+      .then(result => {
+        if (!result || !result.token || !result.domains || result.domains.length === 0) return;
+        linker = result;
+        linkerTimer = setTimeout(refreshLinker, Math.max((result.expiresAt - Date.now()) / 2, 30000));
+      })
+      .catch(() => {});
+  }
+
+  function isLinkedHost(hostname) {
+    const host = hostname.toLowerCase().replace(/^www\./, '');
+    return linker.domains.some(pattern => {
+      if (pattern.indexOf('*.') === 0) {
+        const base = pattern.substring(2).replace(/^www\./, '');
+        return host === base || host.endsWith('.' + base);
+      }
+      return host === pattern.replace(/^www\./, '');
+    });
+  }
+
+  function decorateLink(event) {
+    if (!linker || Date.now() >= linker.expiresAt) return;
+
+    const link = event.target && event.target.closest ? event.target.closest('a[href]') : null;
+    if (!link || !/^https?:$/.test(link.protocol) || link.hostname === window.location.hostname) return;
+    if (!isLinkedHost(link.hostname)) return;
+
+    try {
+      const url = new URL(link.href);
+      url.searchParams.set(linkerParam, linker.token);
+      link.href = url.toString();
+    } catch (e) {
+      // Malformed link; left as it is
+    }
+  }
+
+  if (config.crossDomain) {
+    document.addEventListener('click', decorateLink, true);
+    document.addEventListener('auxclick', decorateLink, true);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible' && !linkerTimer) refreshLinker();
+    });
+  }
+
+  const linkerReady = adoptLinkedVisitor();
+
+  // Page views start at zero depth so unmeasured page views can be told apart
+  function sendPageview() {
+    sendTracking('pageview', config.trackScrollDepth ? { scrollDepth: 0 } : {});
+  }
+
+  function sendTracking(eventType = 'pageview', customData = {}) {
+    if (isExcluded(pageData.path)) return;
+
+    const event = { ...pageData, ...customData, eventType, eventId: newEventId(), consent: consentState, timestamp: Date.now() };
+    if (canUseStorage()) {
+      event.sessionId = getSessionId();
+    }
+
+    if (consentState === 'pending' || consentState === 'denied') {
+      if (config.consentFallback !== 'cookieless') {
+        if (consentState === 'pending' && heldEvents.length < config.maxHeldEvents) {
+          heldEvents.push(event);
+        }
+        return;
+      }
+    }
+
+    queue.push(event);
+
+    if (queue.length >= config.maxQueueSize) {
+      flush();
+    } else if (!flushTimer) {
+      flushTimer = setTimeout(flush, config.flushInterval);
+    }
+  }
+
+  // The first page view waits (briefly) for a linked visitor to be adopted
+  function sendFirstPageview() {
+    let sent = false;
+    const send = () => {
+      if (sent) return;
+      sent = true;
+      sendPageview();
+      refreshLinker();
+    };
+    linkerReady.then(send);
+    setTimeout(send, 2000);
   }
 
-  // Track page view with different strategies based on page load state
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', sendTracking);
+    document.addEventListener('DOMContentLoaded', sendFirstPageview);
   } else {
-    // If DOM is already loaded, use requestIdleCallback or setTimeout
-    if ('requestIdleCallback' in window) {
-      requestIdleCallback(sendTracking);
+    setTimeout(sendFirstPageview, 100);
+  }
+
+  // Engaged time: counted only while the page is visible and the visitor has
+  // interacted within the idle timeout
+  let currentPath = pageData.path;
+  let engagedMs = 0;
+  let activeSince = null;
+  let idleTimer = null;
+  let lastReportedSeconds = 0;
+  let exitSent = false;
+
+  function startEngagement() {
+    if (document.visibilityState !== 'visible') return;
+    if (activeSince === null) {
+      activeSince = Date.now();
+    }
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(stopEngagement, config.idleTimeout);
+  }
+
+  function stopEngagement() {
+    if (activeSince !== null) {
+      engagedMs += Date.now() - activeSince;
+      activeSince = null;
+    }
+    clearTimeout(idleTimer);
+  }
+
+  function engagedSeconds() {
+    const running = activeSince !== null ? Date.now() - activeSince : 0;
+    return Math.round((engagedMs + running) / 1000);
+  }
+
+  function sendHeartbeat() {
+    const seconds = engagedSeconds();
+    if (seconds === lastReportedSeconds) return;
+    lastReportedSeconds = seconds;
+    sendTracking('heartbeat', { timeOnPage: seconds });
+  }
+
+  function sendPageExit() {
+    if (exitSent || !config.trackPageExit) return;
+    exitSent = true;
+    stopEngagement();
+    sendTracking('pageexit', { exitTime: Date.now(), timeOnPage: engagedSeconds() });
+  }
+
+  let lastActivity = 0;
+  ['mousemove', 'keydown', 'scroll', 'click', 'touchstart'].forEach(event => {
+    document.addEventListener(event, function() {
+      const now = Date.now();
+      if (now - lastActivity < 1000) return;
+      lastActivity = now;
+      startEngagement();
+    }, { passive: true });
+  });
+
+  document.addEventListener('visibilitychange', function() {
+    if (document.visibilityState === 'hidden') {
+      // Mobile browsers often never fire unload events, so report time now
+      stopEngagement();
+      sendHeartbeat();
+      sendPerformance();
+      flush(true);
     } else {
-      setTimeout(sendTracking, 0);
+      startEngagement();
+    }
+  });
+
+  window.addEventListener('pagehide', function() {
+    sendPageExit();
+    sendPerformance();
+    flush(true);
+  });
+
+  setInterval(function() {
+    if (activeSince !== null) {
+      sendHeartbeat();
+    }
+  }, config.heartbeatInterval);
+
+  startEngagement();
+
+  // Core Web Vitals and navigation timing for the initial page load, sent once
+  // the first time the page is hidden so CLS and INP have had time to settle.
+  // Client-side navigations are not measured.
+  const vitals = {};
+  const loadedPath = pageData.path;
+  const loadedPageviewId = pageData.pageviewId;
+  let performanceSent = false;
+
+  function observePerformance(type, callback, options) {
+    try {
+      const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+      observer.observe(Object.assign({ type: type, buffered: true }, options || {}));
+    } catch (e) {
+      // Entry type not supported by this browser
+    }
+  }
+
+  if (config.trackPerformance && window.PerformanceObserver) {
+    observePerformance('largest-contentful-paint', entry => {
+      vitals.lcp = Math.round(entry.startTime);
+    });
+
+    observePerformance('paint', entry => {
+      if (entry.name === 'first-contentful-paint') {
+        vitals.fcp = Math.round(entry.startTime);
+      }
+    });
+
+    // CLS is the largest burst of shifts less than 1s apart, capped at 5s
+    let shiftWindow = 0;
+    let shiftWindowStart = 0;
+    let lastShift = 0;
+    observePerformance('layout-shift', entry => {
+      if (entry.hadRecentInput) return;
+      if (shiftWindow > 0 && entry.startTime - lastShift < 1000 && entry.startTime - shiftWindowStart < 5000) {
+        shiftWindow += entry.value;
+      } else {
+        shiftWindow = entry.value;
+        shiftWindowStart = entry.startTime;
+      }
+      lastShift = entry.startTime;
+      vitals.cls = Math.max(vitals.cls || 0, Math.round(shiftWindow * 10000) / 10000);
+    });
+
+    // INP approximated by the slowest interaction on the page
+    observePerformance('event', entry => {
+      if (entry.interactionId) {
+        vitals.inp = Math.max(vitals.inp || 0, Math.round(entry.duration));
+      }
+    }, { durationThreshold: 40 });
+  }
+
+  function sendPerformance() {
+    if (!config.trackPerformance || performanceSent) return;
+    performanceSent = true;
+
+    const navigation = performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : null;
+    if (navigation) {
+      vitals.ttfb = Math.round(navigation.responseStart);
+      vitals.domContentLoaded = Math.round(navigation.domContentLoadedEventEnd);
+      if (navigation.loadEventEnd > 0) {
+        vitals.loadTime = Math.round(navigation.loadEventEnd);
+      }
     }
+
+    if (Object.keys(vitals).length === 0) return;
+    sendTracking('performance', Object.assign({}, vitals, { path: loadedPath, pageviewId: loadedPageviewId }));
+  }
+
+  // Uncaught errors and unhandled promise rejections, each distinct error
+  // reported once and at most a few per page view
+  let errorsSent = 0;
+  let reportedErrors = {};
+
+  function truncate(value, length) {
+    return value ? String(value).substring(0, length) : null;
+  }
+
+  function sendError(errorType, message, source, line, column, stack) {
+    if (!config.trackErrors || errorsSent >= config.maxErrorsPerPageview) return;
+
+    const key = message + '|' + source + '|' + line;
+    if (reportedErrors[key]) return;
+    reportedErrors[key] = true;
+    errorsSent++;
+
+    sendTracking('error', {
+      errorType: errorType,
+      message: truncate(message, 300) || 'Unknown error',
+      source: truncate(source, 300),
+      line: line || null,
+      column: column || null,
+      stack: truncate(stack, 1000)
+    });
   }
 
-  // Track page exit
-  window.addEventListener('beforeunload', function() {
-    const exitData = { ...pageData, eventType: 'pageexit' };
-    const blob = new Blob([JSON.stringify(exitData)], { type: 'application/json' });
-    navigator.sendBeacon(backendUrl + '/track', blob);
+  window.addEventListener('error', function(event) {
+    // Failed images and scripts also fire error events, without a message
+    if (!event || !event.message) return;
+    sendError('error', event.message, event.filename, event.lineno, event.colno, event.error && event.error.stack);
   });
 
-  // Track user engagement (optional)
-  let engaged = false;
-  const engagementEvents = ['click', 'scroll', 'keydown', 'mousemove'];
-  
-  engagementEvents.forEach(event => {
-    document.addEventListener(event, function() {
-      if (!engaged) {
-        engaged = true;
-        const engagementData = { ...pageData, eventType: 'engagement' };
-        fetch(backendUrl + '/track', {
-          method: 'POST',
-          body: JSON.stringify(engagementData),
-          headers: { 'Content-Type': 'application/json' }
-        }).catch(() => { /* Silently fail */ });
-      }
-    }, { once: true, passive: true });
+  window.addEventListener('unhandledrejection', function(event) {
+    const reason = event ? event.reason : null;
+    const message = reason && reason.message ? reason.message : String(reason);
+    sendError('unhandledrejection', message, null, null, null, reason && reason.stack);
+  });
+
+  // Scroll depth milestones, each sent at most once per page view
+  const scrollMilestones = [25, 50, 75, 100];
+  let scrollReached = 0;
+  let scrollTimer = null;
+
+  function checkScrollDepth() {
+    if (!config.trackScrollDepth) return;
+
+    const doc = document.documentElement;
+    const scrollHeight = Math.max(doc.scrollHeight, document.body ? document.body.scrollHeight : 0);
+    const viewed = (window.scrollY || doc.scrollTop || 0) + (window.innerHeight || doc.clientHeight);
+    const percent = scrollHeight > 0 ? Math.min(100, (viewed / scrollHeight) * 100) : 100;
+
+    scrollMilestones.forEach(milestone => {
+      if (percent >= milestone && scrollReached < milestone) {
+        scrollReached = milestone;
+        sendTracking('scroll', { scrollDepth: milestone });
+      }
+    });
+  }
+
+  window.addEventListener('scroll', function() {
+    if (scrollTimer) return;
+    scrollTimer = setTimeout(function() {
+      scrollTimer = null;
+      checkScrollDepth();
+    }, 250);
+  }, { passive: true });
+
+  setTimeout(checkScrollDepth, 1000);
+
+  // Single-page apps: client-side navigations become page views, with the
+  // page being left closed out and used as the internal referrer
+  function handleNavigation() {
+    const newPath = getPath();
+    if (newPath === currentPath) return;
+
+    sendPageExit();
+
+    pageData.referrer = window.location.origin + currentPath;
+    pageData.path = newPath;
+    pageData.search = window.location.search || undefined;
+    pageData.pageviewId = newPageviewId();
+    updateCampaign();
+    currentPath = newPath;
+    engagedMs = 0;
+    lastReportedSeconds = 0;
+    exitSent = false;
+    scrollReached = 0;
+    errorsSent = 0;
+    reportedErrors = {};
+    startEngagement();
+
+    sendPageview();
+    setTimeout(checkScrollDepth, 1000);
+  }
+
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+    history[method] = function() {
+      const result = original.apply(this, arguments);
+      handleNavigation();
+      return result;
+    };
   });
 
-})();
\ No newline at end of file
+  window.addEventListener('popstate', handleNavigation);
+  if (config.hashRouting) {
+    window.addEventListener('hashchange', handleNavigation);
+  }
+
+  // Outbound links and file downloads usually navigate away, so these events
+  // are flushed straight away with sendBeacon instead of waiting in the queue
+  const downloadPattern = /\.(pdf|zip|rar|7z|gz|tar|docx?|xlsx?|pptx?|csv|txt|rtf|odt|ods|epub|mobi|dmg|exe|msi|pkg|apk|iso|mp3|mp4|mov|avi|wav)$/i;
+
+  function handleLinkClick(event) {
+    const link = event.target && event.target.closest ? event.target.closest('a[href]') : null;
+    if (!link || !/^https?:$/.test(link.protocol)) return;
+
+    const url = link.href.split('#')[0].substring(0, 1000);
+
+    if (config.trackDownloads && (link.hasAttribute('download') || downloadPattern.test(link.pathname))) {
+      sendTracking('download', { url: url });
+      flush(true);
+    } else if (config.trackOutbound && link.hostname !== window.location.hostname) {
+      sendTracking('outbound', { url: url });
+      flush(true);
+    }
+  }
+
+  if (config.trackOutbound || config.trackDownloads) {
+    // auxclick covers middle-clicks that open the link in a new tab
+    document.addEventListener('click', handleLinkClick, true);
+    document.addEventListener('auxclick', handleLinkClick, true);
+  }
+
+  if (config.trackEngagement) {
+    // A deliberate interaction keeps a single page view from being a bounce;
+    // mouse movement alone doesn't count
+    let engaged = false;
+    const engagementEvents = ['click', 'scroll', 'keydown'];
+
+    engagementEvents.forEach(event => {
+      document.addEventListener(event, function() {
+        if (!engaged) {
+          engaged = true;
+          sendTracking('engagement', { engagementTime: Date.now() });
+        }
+      }, { once: true, passive: true });
+    });
+  }
+
+  window.insightAI = window.insightAI || {};
+  window.insightAI.track = function(eventName, customData = {}) {
+    sendTracking(eventName, customData);
+  };
+
+  // E-commerce events. viewItem and addToCart take a single item or
+  // { items, currency }; beginCheckout and purchase take { items, value,
+  // currency } and purchase also needs an orderId, which stops a reloaded
+  // thank-you page from counting the order twice.
+  function itemData(data) {
+    return data && Array.isArray(data.items) ? data : { items: [data], currency: data && data.currency };
+  }
+
+  window.insightAI.ecommerce = {
+    viewItem: function(item) {
+      sendTracking('view_item', { ecommerce: itemData(item) });
+    },
+    addToCart: function(item) {
+      sendTracking('add_to_cart', { ecommerce: itemData(item) });
+    },
+    beginCheckout: function(data = {}) {
+      sendTracking('begin_checkout', { ecommerce: data });
+    },
+    purchase: function(data = {}) {
+      if (!data.orderId) {
+        console.warn('Insight AI: purchase() needs an orderId.');
+        return;
+      }
+      // Sent right away: the visitor often leaves right after the order
+      sendTracking('purchase', { ecommerce: data });
+      flush();
+    }
+  };
+
+  // Hook for consent managers: insightAI.consent('granted' | 'denied')
+  window.insightAI.consent = function(state) {
+    if (state !== 'granted' && state !== 'denied') {
+      console.warn('Insight AI: consent() expects "granted" or "denied".');
+      return;
+    }
+    if (!config.requireConsent || state === consentState) return;
+
+    consentState = state;
+
+    if (state === 'granted') {
+      if (!config.cookieless) {
+        pageData.visitorId = loadVisitorId();
+        delete pageData.cookieless;
+        saveCampaign();
+      }
+
+      // Events held while waiting belong to the visitor, and the session,
+      // that just consented
+      const sessionId = canUseStorage() ? getSessionId() : undefined;
+      heldEvents.forEach(event => {
+        queue.push({ ...event, visitorId: pageData.visitorId, cookieless: pageData.cookieless, sessionId, consent: 'granted' });
+      });
+      heldEvents = [];
+      flush();
+      refreshLinker();
+      return;
+    }
+
+    // Withdrawn or declined: forget the visitor and anything still waiting
+    heldEvents = [];
+    linker = null;
+    clearTimeout(linkerTimer);
+    linkerTimer = null;
+    memoryRetry = { events: [], attempts: 0, retryAt: 0 };
+    pageData.visitorId = null;
+    pageData.cookieless = true;
+    try {
+      localStorage.removeItem('insight_ai_visitor_id');
+      sessionStorage.removeItem('insight_ai_visitor_id');
+      sessionStorage.removeItem('insight_ai_campaign');
+      sessionStorage.removeItem('insight_ai_session');
+      localStorage.removeItem(retryKey);
+    } catch (e) {
+      // Storage unavailable
+    }
+  };
+})();
@@ -0,0 +1,58 @@
+// Lightweight user-agent parsing for tracked events.
+// Order matters in every table below: the first matching rule wins, so more
+// specific signatures (Edge, Opera, Samsung) come before the engines they embed.
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|embedly|preview|monitor|pingdom|uptime|headless|phantomjs|lighthouse|curl|wget|python-requests|axios|node-fetch|go-http-client|java\//i;
+
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'UC Browser', pattern: /UCBrowser\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ },
+  { name: 'Internet Explorer', pattern: /(?:MSIE |Trident\/.*rv:)([\d.]+)/ }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'Windows', pattern: /Windows NT/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'Chrome OS', pattern: /CrOS/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+function detectDeviceType(ua) {
+  if (BOT_PATTERN.test(ua)) return 'bot';
+  if (/iPad|Tablet|PlayBook|Silk|Kindle/i.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) {
+    return 'tablet';
+  }
+  if (/Mobi|iPhone|iPod|Android|Opera Mini|IEMobile|BlackBerry/i.test(ua)) return 'mobile';
+  return 'desktop';
+}
+
+function majorVersion(version) {
+  return version ? version.split('.')[0] : null;
+}
+
+export function isBotUserAgent(ua) {
+  return typeof ua === 'string' && BOT_PATTERN.test(ua);
+}
+
+export function parseUserAgent(ua) {
+  if (!ua || typeof ua !== 'string') {
+    return { browser: null, browserVersion: null, os: null, deviceType: null };
+  }
+
+  const browser = BROWSERS.find(({ pattern }) => pattern.test(ua));
+  const os = OPERATING_SYSTEMS.find(({ pattern }) => pattern.test(ua));
+
+  return {
+    browser: browser ? browser.name : 'Other',
+    browserVersion: browser ? majorVersion(ua.match(browser.pattern)[1]) : null,
+    os: os ? os.name : 'Other',
+    deviceType: detectDeviceType(ua)
+  };
+}
@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import net from 'net';
+
+// Visitor IDs for cookieless sites, derived on the server from a hash of a
+// salt that rotates every UTC day, the site, a truncated IP and the user agent.
+// Every server process must use the same salt, or one visitor gets a different
+// ID per process and per restart. It is derived from VISITOR_HASH_SECRET and
+// the day when that is set, otherwise shared through Redis, where each day's
+// salt is random and discarded after two days, so IDs can't be linked across
+// days or traced back to an IP address. (With VISITOR_HASH_SECRET, anyone
+// holding the secret can recompute past salts; rotate it to cut that link.)
+
+const isProduction = process.env.NODE_ENV === 'production';
+const SALT_KEY_PREFIX = 'privacy:salt:';
+const SALT_TTL = 2 * 24 * 60 * 60;
+
+function currentDay() {
+  return new Date().toISOString().substring(0, 10);
+}
+
+// Full list of eight IPv6 groups, with "::" expanded and an embedded IPv4
+// address counted as the two groups it takes up
+function expandIpv6(address) {
+  const toGroups = part => (part ? part.split(':') : []).flatMap(group => (group.includes('.') ? ['0', '0'] : [group]));
+  const [head, tail] = address.split('::');
+  if (tail === undefined) return toGroups(head);
+
+  const headGroups = toGroups(head);
+  const tailGroups = toGroups(tail);
+  return [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+}
+
+// Keep the network, not the host: /24 for IPv4, /48 for IPv6
+export function truncateIp(ip) {
+  if (!ip) return '';
+
+  const address = ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '').split('%')[0];
+  const version = net.isIP(address);
+
+  if (version === 4) {
+    return address.split('.').slice(0, 3).concat('0').join('.');
+  }
+  if (version !== 6) return '';
+
+  const network = expandIpv6(address).slice(0, 3).map(group => parseInt(group, 16).toString(16));
+  return `${network.join(':')}::`;
+}
+
+class VisitorHasher {
+  constructor(options = {}) {
+    this.secret = options.secret ?? process.env.VISITOR_HASH_SECRET ?? null;
+    // A salt private to one process is only acceptable outside production
+    this.allowLocalSalt = options.allowLocalSalt ?? !isProduction;
+    this.redis = null;
+    this.ready = Promise.resolve();
+    this.day = null;
+    this.salt = null;
+  }
+
+  init(cacheManager = null) {
+    this.ready = this.connect(cacheManager);
+    return this.ready;
+  }
+
+  async connect(cacheManager) {
+    if (this.secret) return;
+
+    if (cacheManager) {
+      await cacheManager.init();
+      if (cacheManager.redis && cacheManager.redis.isOpen) {
+        this.redis = cacheManager.redis;
+        return;
+      }
+    }
+
+    if (!this.allowLocalSalt) {
+      throw new Error('Set VISITOR_HASH_SECRET or enable Redis: cookieless visitor IDs need a salt shared by every server process');
+    }
+    console.warn('⚠️ No VISITOR_HASH_SECRET or Redis: cookieless visitor IDs will change with every process and restart');
+  }
+
+  // Concurrent callers share one lookup when the day rolls over; a failed
+  // lookup is retried by the next caller
+  getSalt() {
+    const day = currentDay();
+    if (this.day !== day) {
+      this.day = day;
+      this.salt = this.loadSalt(day).catch(error => {
+        if (this.day === day) this.day = null;
+        throw error;
+      });
+    }
+    return this.salt;
+  }
+
+  async loadSalt(day) {
+    if (this.secret) {
+      return crypto.createHmac('sha256', this.secret).update(`${SALT_KEY_PREFIX}${day}`).digest('hex');
+    }
+
+    if (this.redis) {
+      const salt = crypto.randomBytes(32).toString('hex');
+      try {
+        const key = `${SALT_KEY_PREFIX}${day}`;
+        await this.redis.set(key, salt, { NX: true, EX: SALT_TTL });
+        const shared = await this.redis.get(key);
+        if (shared) return shared;
+      } catch (error) {
+        throw new Error(`Visitor salt sync error: ${error.message}`);
+      }
+      throw new Error('Visitor salt sync error: salt missing after write');
+    }
+
+    if (!this.allowLocalSalt) {
+      throw new Error('No shared visitor salt: set VISITOR_HASH_SECRET or enable Redis');
+    }
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  // Rejects when no shared salt is available; the event must not be counted
+  // under a salt other processes don't have
+  async visitorId(siteId, ip, userAgent) {
+    await this.ready;
+    const salt = await this.getSalt();
+    const hash = crypto
+      .createHash('sha256')
+      .update([salt, String(siteId).toLowerCase(), truncateIp(ip), userAgent || ''].join('|'))
+      .digest('hex');
+
+    return `c-${hash.substring(0, 24)}`;
+  }
+}
+
+export default VisitorHasher;